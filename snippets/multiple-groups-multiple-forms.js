@@ -51,4 +51,14 @@ educationForm1.on('fieldAdded', function(data) {
 
 workForm1.on('fieldAdded', function(data) {
     console.log('Form1 work field added, total: ' + data.totalFields);
-});
\ No newline at end of file
+});
+
+// Optional: Look up instances and work on a whole form at once
+// DynamicFields.get('form1', 'work').addField();
+// DynamicFields.validateForm('form1');   // { valid, groups: { education: ..., work: ... } }
+// DynamicFields.getFormData('form2');    // { contacts: [...], skills: [...] }
+
+// Optional: One listener for every group on the page
+DynamicFields.manager.on('fieldRemoved', function(data) {
+    console.log(data.formId + ' ' + data.groupName + ' field removed, total: ' + data.totalFields);
+});
@@ -14,6 +14,210 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
 (function(global) {
     'use strict';
 
+    // Built-in validation rules: (value, arg) => boolean. Empty values only fail `required`.
+    const VALIDATORS = {
+        required: value => !isEmptyValue(value),
+        pattern: (value, arg) => (arg instanceof RegExp ? arg : new RegExp(`^(?:${arg})$`)).test(value),
+        minLength: (value, arg) => String(value).length >= Number(arg),
+        maxLength: (value, arg) => String(value).length <= Number(arg),
+        min: (value, arg) => Number(value) >= Number(arg),
+        max: (value, arg) => Number(value) <= Number(arg),
+        equals: (value, arg) => Number(value) === Number(arg),
+        email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        url: value => {
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol);
+            } catch (error) {
+                return false;
+            }
+        }
+    };
+    
+    const DEFAULT_MESSAGES = {
+        required: 'This field is required',
+        pattern: 'Please match the requested format',
+        minLength: 'Please enter at least {arg} characters',
+        maxLength: 'Please enter no more than {arg} characters',
+        min: 'Please enter a value of at least {arg}',
+        max: 'Please enter a value of at most {arg}',
+        equals: 'This value must equal {arg}',
+        email: 'Please enter a valid email address',
+        url: 'Please enter a valid URL',
+        custom: 'This value is not valid'
+    };
+    
+    // Built-in naming strategies: (prefix, index, name) => attribute value
+    const NAMING_STRATEGIES = {
+        dash: (prefix, index, name) => `${prefix}-${index}-${name}`,         // education-1-school
+        bracket: (prefix, index, name) => `${prefix}[${index}][${name}]`,    // education[1][school] (PHP, Rails)
+        dot: (prefix, index, name) => `${prefix}[${index}].${name}`          // education[1].school (Spring)
+    };
+    
+    // Aggregate operations over the non-empty values of a field across rows (see getAggregate)
+    const AGGREGATES = {
+        sum: values => values.reduce((total, value) => total + Number(value), 0),
+        count: values => values.length,
+        avg: values => (values.length ? AGGREGATES.sum(values) / values.length : null),
+        min: values => (values.length ? Math.min(...values.map(Number)) : null),
+        max: values => (values.length ? Math.max(...values.map(Number)) : null)
+    };
+    
+    // Events that change rows: they refresh aggregates and schedule a draft save when `persist` is on
+    const ROW_CHANGE_EVENTS = ['fieldAdded', 'fieldRemoved', 'fieldDuplicated', 'fieldMoved', 'fieldRestored', 'fieldAdopted', 'fieldDetached', 'dataLoaded'];
+    
+    // Stand-in name used to split a strategy's output back into prefix and suffix
+    const NAME_PLACEHOLDER = '\u0000name\u0000';
+    
+    // Display placeholders such as {{position}} in row markup, buttons and counters
+    const DISPLAY_PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+    
+    // Attributes the naming strategy owns - placeholders are never rendered there
+    const PLACEHOLDER_SKIPPED_ATTRIBUTES = ['name', 'id', 'for', 'data-name'];
+    
+    // Functions available in data-df-compute formulas
+    const FORMULA_FUNCTIONS = {
+        round: (value, decimals = 0) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals),
+        floor: Math.floor,
+        ceil: Math.ceil,
+        abs: Math.abs,
+        min: Math.min,
+        max: Math.max
+    };
+    
+    const compiledFormulas = new Map();
+    
+    /**
+     * Compile a data-df-compute formula without eval. Supports numbers, field names ({braces} for
+     * names such as {unit-price}), + - * / %, parentheses and FORMULA_FUNCTIONS.
+     * Returns { evaluate: values => number, fields: [names] }; throws SyntaxError on invalid formulas.
+     */
+    function compileFormula(source) {
+        if (compiledFormulas.has(source)) return compiledFormulas.get(source);
+        
+        const tokens = source.match(/\d+(?:\.\d+)?|\.\d+|[A-Za-z_$][\w$]*|\{[^}]*\}|\S/g) || [];
+        const fields = [];
+        let position = 0;
+        
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const fail = token => {
+            throw new SyntaxError(`Unexpected ${token === undefined ? 'end' : `"${token}"`} in formula "${source}"`);
+        };
+        const expect = token => {
+            if (peek() !== token) fail(peek());
+            next();
+        };
+        
+        // Each parse step returns a closure (values) => number
+        const parseExpression = () => {
+            let left = parseTerm();
+            while (peek() === '+' || peek() === '-') {
+                const operator = next();
+                const leftOperand = left;
+                const rightOperand = parseTerm();
+                left = operator === '+'
+                    ? values => leftOperand(values) + rightOperand(values)
+                    : values => leftOperand(values) - rightOperand(values);
+            }
+            return left;
+        };
+        const parseTerm = () => {
+            let left = parseFactor();
+            while (peek() === '*' || peek() === '/' || peek() === '%') {
+                const operator = next();
+                const leftOperand = left;
+                const rightOperand = parseFactor();
+                left = operator === '*' ? values => leftOperand(values) * rightOperand(values)
+                    : operator === '/' ? values => leftOperand(values) / rightOperand(values)
+                    : values => leftOperand(values) % rightOperand(values);
+            }
+            return left;
+        };
+        const parseFactor = () => {
+            const token = next();
+            
+            if (token === '-' || token === '+') {
+                const operand = parseFactor();
+                return token === '-' ? values => -operand(values) : operand;
+            }
+            if (token === '(') {
+                const inner = parseExpression();
+                expect(')');
+                return inner;
+            }
+            if (/^\.?\d/.test(token || '')) {
+                const number = Number(token);
+                return () => number;
+            }
+            if (/^\{.*\}$/.test(token || '')) {
+                const name = token.slice(1, -1).trim();
+                fields.push(name);
+                return values => values[name];
+            }
+            if (/^[A-Za-z_$]/.test(token || '')) {
+                if (peek() !== '(') {
+                    fields.push(token);
+                    return values => values[token];
+                }
+                if (!Object.prototype.hasOwnProperty.call(FORMULA_FUNCTIONS, token)) {
+                    throw new SyntaxError(`Unknown function "${token}" in formula "${source}"`);
+                }
+                
+                next();
+                const args = [];
+                if (peek() !== ')') {
+                    args.push(parseExpression());
+                    while (peek() === ',') {
+                        next();
+                        args.push(parseExpression());
+                    }
+                }
+                expect(')');
+                return values => FORMULA_FUNCTIONS[token](...args.map(arg => arg(values)));
+            }
+            return fail(token);
+        };
+        
+        const evaluate = parseExpression();
+        if (position < tokens.length) fail(peek());
+        
+        const formula = { evaluate: evaluate, fields: fields };
+        compiledFormulas.set(source, formula);
+        return formula;
+    }
+    
+    // Write a number into an output (value of input/output/textarea, text otherwise), honouring data-df-decimals
+    function writeOutput(element, value) {
+        const decimals = element.getAttribute('data-df-decimals');
+        const valid = typeof value === 'number' && isFinite(value);
+        const text = !valid ? '' : (decimals !== null ? value.toFixed(Number(decimals)) : String(Math.round(value * 1e10) / 1e10));
+        
+        if (element.matches('input, output, textarea')) {
+            element.value = text;
+        } else {
+            element.textContent = text;
+        }
+        return text;
+    }
+    
+    function createTemplate(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        return template;
+    }
+    
+    function isEmptyValue(value) {
+        return value === null || value === undefined || value === false || 
+            (Array.isArray(value) ? value.length === 0 : String(value).trim() === '');
+    }
+    
+    // Values never written to a draft: passwords, autocomplete="off", cc-* card data and [data-df-no-persist] (also on a wrapper)
+    function isSensitiveField(element) {
+        const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+        return element.type === 'password' || autocomplete.includes('off') ||
+            autocomplete.some(token => token.indexOf('cc-') === 0) || !!element.closest('[data-df-no-persist]');
+    }
+
     /**
      * Main DynamicFields Class
      */
@@ -23,8 +227,10 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
             // Default configuration
             this.config = {
                 maxFields: options.maxFields || 5,
-                minFields: options.minFields || 1,
+                minFields: options.minFields !== undefined ? options.minFields : 1,
                 fieldPrefix: options.fieldPrefix || 'field',
+                naming: options.naming || 'dash', // 'dash', 'bracket', 'dot' or (prefix, index, name) => string
+                indexBase: options.indexBase !== undefined ? options.indexBase : 1, // First index written into names (0 or 1)
                 animationSpeed: options.animationSpeed || 300,
                 validateOnAdd: options.validateOnAdd !== undefined ? options.validateOnAdd : false,
                 autoInit: options.autoInit !== false,
@@ -34,6 +240,27 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
                 groupName: options.groupName || 'default', // New: Support for multiple groups
                 formId: options.formId || null, // New: Support for multiple forms
                 hideRemoveButtonWhenMinReached: options.hideRemoveButtonWhenMinReached !== undefined ? options.hideRemoveButtonWhenMinReached : true,
+                children: options.children || [], // Nested repeaters created inside every row
+                template: options.template || null, // Row blueprint: <template> element or HTML string (else template[data-field-template])
+                rowTypes: options.rowTypes || {}, // Named blueprints: { phone: { template, minFields, maxFields } }
+                rowTypeKey: options.rowTypeKey || '_type', // Key holding a row's type in getData()/setData()
+                disableHiddenFields: options.disableHiddenFields !== undefined ? options.disableHiddenFields : true, // Disable inputs hidden by data-df-show-when
+                aggregateRules: options.aggregateRules || {}, // Validation rules for aggregates, e.g. { 'sum:percent': 'equals:100' }
+                limitGroup: options.limitGroup || null, // Shared budget joined with other instances (see Manager#setLimit)
+                reindexOnRemove: options.reindexOnRemove !== undefined ? options.reindexOnRemove : false, // Keep indexes 1..N without gaps
+                undoLimit: options.undoLimit !== undefined ? options.undoLimit : 10, // Removed rows kept for undoRemove()
+                undoTimeout: options.undoTimeout !== undefined ? options.undoTimeout : 5000, // How long [data-undo-btn] stays visible
+                rules: options.rules || {}, // Validation rules keyed by un-prefixed field name
+                validators: options.validators || {}, // Named custom rule functions usable in data-df-rules (may return Promises)
+                validateOnInput: options.validateOnInput !== undefined ? options.validateOnInput : false, // Re-validate a row while typing
+                validateDebounce: options.validateDebounce !== undefined ? options.validateDebounce : 300,
+                messages: options.messages || {}, // Error message overrides keyed by rule name
+                observe: options.observe !== undefined ? options.observe : false, // Adopt/detach rows inserted or removed by other scripts
+                persist: options.persist !== undefined ? options.persist : false, // true/'local' (localStorage) or 'session' (sessionStorage)
+                persistKey: options.persistKey || null, // Storage key, defaults to dynamicfields:formId:groupName
+                persistDebounce: options.persistDebounce !== undefined ? options.persistDebounce : 500,
+                domEvents: options.domEvents !== undefined ? options.domEvents : true, // Also dispatch bubbling dynamicfields:* CustomEvents
+                on: options.on || {}, // Event listeners registered before init(), e.g. { draftRestored: handler }
                 ...options
             };
             
@@ -43,9 +270,52 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
             this.elements = {};
             this.isInitialized = false;
             
+            // Type of rows created without an explicit type (set by findElements when only typed blueprints exist)
+            this.defaultRowType = null;
+            
+            // Nested repeater state: child instances per row, and the owning row when nested
+            this.children = new Map();
+            this.parent = null;
+            this.parentField = null;
+            this.prefixSegment = null;
+            
+            // Undo/redo history for removed rows
+            this.undoStack = [];
+            this.redoStack = [];
+            this.undoTimer = null;
+            
+            // Result of the last validate() call, plus per-row debounce timers and async tokens
+            this.lastValidation = { valid: true, pending: false, rows: [] };
+            this.validationTimers = new Map();
+            this.validationTokens = new WeakMap();
+            
+            // Listeners added by this instance, the active drag (if any) and the pre-init markup, for destroy()
+            this.listeners = [];
+            this.stopDrag = null;
+            this.originalMarkup = null;
+            
+            // Rows created or adopted by this instance, and the MutationObserver used by `observe`
+            this.managedFields = new WeakSet();
+            this.placeholderTemplates = new WeakMap(); // Original text/attributes of nodes holding {{placeholders}}
+            this.observer = null;
+            
+            // Pending debounced draft save (persist option)
+            this.draftTimer = null;
+            this.skipNextDraftSave = false; // Set by clearDraft() so resetting the rows right after doesn't write a new draft
+            
+            // A limitGroup object defines the shared budget inline: { name, maxFields, minFields }
+            if (this.config.limitGroup && typeof this.config.limitGroup === 'object') {
+                const { name, ...limit } = this.config.limitGroup;
+                manager.setLimit(name, limit);
+                this.config.limitGroup = name;
+            }
+            
             // Generate unique instance ID for multi-instance support
             this.instanceId = this.generateInstanceId();
             
+            // Listeners from the config also receive events emitted by init() (initialized, draftRestored, ...)
+            Object.keys(this.config.on).forEach(eventName => this.on(eventName, this.config.on[eventName]));
+            
             if (this.config.autoInit) {
                 // Delay initialization to ensure DOM is ready
                 if (document.readyState === 'loading') {
@@ -91,9 +361,22 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
             
             this.findElements();
             if (this.validateSetup()) {
+                this.originalMarkup = this.captureMarkup();
                 this.setupInitialState();
+                this.initChildren();
+                this.getFieldGroups().forEach(field => this.refreshFieldGroup(field));
+                this.prepareDragHandles(this.elements.fieldsContainer);
+                this.updateAggregates();
                 this.bindEvents();
+                if (this.config.observe) {
+                    this.startObserving();
+                }
+                // Registered before the first button update so shared limits count this instance
+                manager.register(this);
                 this.updateButtonStates();
+                if (this.config.persist && !this.parent) {
+                    this.restoreDraft();
+                }
                 this.isInitialized = true;
                 
                 this.logDebug('Initialization completed successfully', {
@@ -127,8 +410,8 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
             // Support for form-specific targeting
             let searchScope = container;
             if (this.config.formId) {
-                const targetForm = container.querySelector(`#${this.config.formId}`) || 
-                                 document.querySelector(`#${this.config.formId}`);
+                // getElementById also accepts IDs that aren't valid selectors, e.g. "123"
+                const targetForm = document.getElementById(this.config.formId);
                 if (targetForm) {
                     searchScope = targetForm;
                     this.logDebug('Targeting specific form', { formId: this.config.formId });
@@ -147,15 +430,40 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
                 }
             }
             
+            // A template replaces the hidden clone: its first element is the row blueprint
+            const rowTypes = this.findRowTypes(searchScope);
+            const rowTypeNames = Object.keys(rowTypes);
+            let template = this.findTemplate(searchScope);
+            
+            // Without an untyped blueprint, new rows default to the first row type
+            this.defaultRowType = null;
+            if (!template && rowTypeNames.length) {
+                this.defaultRowType = rowTypeNames[0];
+                template = rowTypes[this.defaultRowType].template;
+            }
+            if (template) {
+                sourceField = template.tagName === 'TEMPLATE' ? template.content.firstElementChild : template;
+                this.logDebug('Using template as row blueprint', { groupName: this.config.groupName });
+            }
+            
             this.elements = {
                 container: container,
                 searchScope: searchScope,
                 sourceField: sourceField,
+                template: template,
+                rowTypes: rowTypes,
                 fieldsContainer: searchScope.querySelector('[data-fields-container]') || groupContainer || searchScope,
                 addButton: this.findButton(searchScope, '[data-add-btn]'),
-                removeButton: this.findButton(searchScope, '[data-remove-btn]')
+                removeButton: this.findButton(searchScope, '[data-remove-btn]'),
+                undoButton: this.findButton(searchScope, '[data-undo-btn]')
             };
             
+            // Typed add buttons ([data-add-btn][data-row-type]) each create their own kind of row
+            const typedAddButtons = Array.from(searchScope.querySelectorAll('[data-add-btn][data-row-type]'))
+                .filter(button => (button.getAttribute('data-group-name') || this.config.groupName) === this.config.groupName);
+            this.elements.addButtons = [this.elements.addButton].concat(typedAddButtons)
+                .filter((button, i, all) => button && all.indexOf(button) === i);
+            
             this.logDebug('Elements found', {
                 hasSourceField: !!this.elements.sourceField,
                 hasAddButton: !!this.elements.addButton,
@@ -176,8 +484,64 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
                 }
             }
             
-            // Fallback to general button
-            return scope.querySelector(selector);
+            // Fallback to general button, skipping buttons that belong to another group
+            // (e.g. the add button of a nested repeater living inside one of our rows)
+            const buttons = Array.from(scope.querySelectorAll(selector));
+            return buttons.find(button => {
+                const buttonGroupName = button.getAttribute('data-group-name');
+                return !buttonGroupName || buttonGroupName === this.config.groupName;
+            }) || null;
+        }
+        
+        /**
+         * Find the row template: config.template, or a template[data-field-template] matched like buttons
+         */
+        findTemplate(scope) {
+            const template = this.config.template;
+            if (typeof template === 'string') {
+                return createTemplate(template);
+            }
+            return template || this.findButton(scope, 'template[data-field-template]:not([data-row-type])');
+        }
+        
+        /**
+         * Collect the named row blueprints: template[data-field-template][data-row-type] plus config.rowTypes
+         * Returns { type: { template, blueprint, minFields, maxFields } }
+         */
+        findRowTypes(scope) {
+            const rowTypes = {};
+            
+            Array.from(scope.querySelectorAll('template[data-field-template][data-row-type]'))
+                .filter(template => (template.getAttribute('data-group-name') || this.config.groupName) === this.config.groupName)
+                .forEach(template => {
+                    rowTypes[template.getAttribute('data-row-type')] = {
+                        template: template,
+                        minFields: template.hasAttribute('data-min-fields') ? Number(template.getAttribute('data-min-fields')) : 0,
+                        maxFields: template.hasAttribute('data-max-fields') ? Number(template.getAttribute('data-max-fields')) : Infinity
+                    };
+                });
+            
+            Object.keys(this.config.rowTypes).forEach(type => {
+                const { template, ...limits } = this.config.rowTypes[type];
+                rowTypes[type] = {
+                    minFields: 0,
+                    maxFields: Infinity,
+                    ...rowTypes[type],
+                    ...limits,
+                    ...(template ? { template: typeof template === 'string' ? createTemplate(template) : template } : {})
+                };
+            });
+            
+            Object.keys(rowTypes).forEach(type => {
+                const template = rowTypes[type].template;
+                rowTypes[type].blueprint = template && (template.tagName === 'TEMPLATE' ? template.content.firstElementChild : template);
+                if (!rowTypes[type].blueprint) {
+                    this.logError(`Row type "${type}" has no template`);
+                    delete rowTypes[type];
+                }
+            });
+            
+            return rowTypes;
         }
         
         /**
@@ -185,7 +549,7 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
          */
         validateSetup() {
             if (!this.elements.sourceField) {
-                this.logError('Source field element with [data-field-group] not found');
+                this.logError('Source field element with [data-field-group] (or a template[data-field-template] row) not found');
                 return false;
             }
             if (!this.elements.addButton) {
@@ -216,7 +580,20 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
                 }
             }
             
-            if (this.fieldCounter === 1) {
+            // The undo button only shows up after a removal
+            if (this.elements.undoButton) {
+                this.elements.undoButton.style.display = 'none';
+            }
+            
+            if (this.elements.template) {
+                // The blueprint lives outside the form, so every existing row is a working row
+                this.fieldCounter = 0;
+                this.getFieldGroups().forEach(field => this.adoptField(field));
+                if (this.fieldCounter === 0) {
+                    this.logDebug('No fields found, creating minimum required fields');
+                    this.createMinimumFields();
+                }
+            } else if (this.fieldCounter === 1) {
                 this.logDebug('Converting existing field to working field');
                 this.convertSourceToWorkingField();
             } else {
@@ -227,6 +604,8 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
                 }
             }
             
+            this.getFieldGroups().forEach(field => this.managedFields.add(field));
+            
             this.logDebug('Initial state setup completed', {
                 finalFieldCount: this.getCurrentFieldCount()
             });
@@ -243,7 +622,7 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
             this.fieldCounter = 1;
             
             // Update form elements in the converted field
-            const formElements = this.elements.sourceField.querySelectorAll('input, textarea, select, label, [id], [name], [for], [data-name]');
+            const formElements = this.getRowFormElements(this.elements.sourceField);
             formElements.forEach(element => this.updateFieldElement(element, 1));
             
             // Create new hidden source field
@@ -259,6 +638,7 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
             const newSourceField = this.elements.sourceField.cloneNode(true);
             newSourceField.removeAttribute('data-field-group');
             newSourceField.removeAttribute('data-group-name');
+            newSourceField.setAttribute('data-df-source', '');
             this.hideElement(newSourceField);
             
             // Clear values and reset attributes
@@ -287,12 +667,61 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
             });
         }
         
+        /**
+         * Snapshot the rows, buttons and counters as they were before initialization, for destroy({ restore: true })
+         */
+        captureMarkup() {
+            // Buttons and counters get rendered {{placeholders}} and state attributes
+            const controls = this.elements.addButtons
+                .concat([this.elements.removeButton, this.elements.undoButton])
+                .concat(this.getGroupElements('[data-df-counter]'))
+                .filter(Boolean);
+            return {
+                fields: this.getOwnFieldGroups().map(field => field.cloneNode(true)),
+                controls: controls.map(control => ({
+                    element: control,
+                    html: control.innerHTML,
+                    attributes: Array.from(control.attributes).map(({ name, value }) => ({ name, value }))
+                }))
+            };
+        }
+        
+        /**
+         * Put the snapshot taken by captureMarkup() back in place of the generated rows and hidden source
+         */
+        restoreMarkup() {
+            const current = this.getOwnFieldGroups();
+            if (this.elements.sourceField && !this.elements.template && !current.includes(this.elements.sourceField)) {
+                current.push(this.elements.sourceField);
+            }
+            
+            const anchor = current.find(field => field.parentNode);
+            if (anchor) {
+                this.originalMarkup.fields.forEach(field => anchor.parentNode.insertBefore(field, anchor));
+            } else {
+                this.originalMarkup.fields.forEach(field => this.elements.fieldsContainer.appendChild(field));
+            }
+            current.forEach(field => field.remove());
+            
+            this.originalMarkup.controls.forEach(({ element, html, attributes }) => {
+                if (element.innerHTML !== html) element.innerHTML = html; // Undo rendered placeholders
+                Array.from(element.attributes).forEach(({ name }) => element.removeAttribute(name));
+                attributes.forEach(({ name, value }) => element.setAttribute(name, value));
+            });
+        }
+        
         /**
          * Create minimum required fields
          */
         createMinimumFields() {
-            for (let i = 0; i < this.config.minFields; i++) {
-                this.addField(false);
+            // Row types with their own minimum come first, the default blueprint fills up the rest
+            Object.keys(this.elements.rowTypes).forEach(type => {
+                for (let i = 0; i < this.elements.rowTypes[type].minFields; i++) {
+                    this.createField({ animate: false, type: type });
+                }
+            });
+            for (let i = this.getCurrentFieldCount(); i < this.config.minFields; i++) {
+                this.createField({ animate: false });
             }
         }
         
@@ -300,14 +729,13 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
          * Reset field attributes to original values
          */
         resetFieldAttributes(field) {
-            const formElements = field.querySelectorAll('input, textarea, select, label, [id], [name], [for], [data-name]');
+            const formElements = this.getRowFormElements(field);
             formElements.forEach(element => {
                 const attributesToReset = ['name', 'id', 'for', 'data-name'];
                 attributesToReset.forEach(attr => {
                     const currentValue = element.getAttribute(attr);
-                    if (currentValue && currentValue.includes(`${this.config.fieldPrefix}-1-`)) {
-                        const originalValue = currentValue.replace(`${this.config.fieldPrefix}-1-`, '');
-                        element.setAttribute(attr, originalValue);
+                    if (currentValue) {
+                        element.setAttribute(attr, this.stripFieldPrefix(currentValue, 1));
                     }
                 });
             });
@@ -322,15 +750,17 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
                 return;
             }
             
-            this.elements.addButton.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.addField();
+            this.elements.addButtons.forEach(button => {
+                this.listen(button, 'click', (e) => {
+                    e.preventDefault();
+                    this.addField({ type: button.getAttribute('data-row-type') || undefined });
+                });
+                button.setAttribute('data-df-bound', 'true');
             });
-            this.elements.addButton.setAttribute('data-df-bound', 'true');
             
             if (this.elements.removeButton) {
                 if (!this.elements.removeButton.hasAttribute('data-df-bound')) {
-                    this.elements.removeButton.addEventListener('click', (e) => {
+                    this.listen(this.elements.removeButton, 'click', (e) => {
                         e.preventDefault();
                         this.removeField();
                     });
@@ -338,175 +768,410 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
                 }
             }
             
-            // Individual remove buttons
-            this.elements.fieldsContainer.addEventListener('click', (e) => {
-                const removeButton = e.target.matches('[data-remove-this-field]') 
-                    ? e.target 
-                    : e.target.closest('[data-remove-this-field]');
+            if (this.elements.undoButton && !this.elements.undoButton.hasAttribute('data-df-bound')) {
+                this.listen(this.elements.undoButton, 'click', (e) => {
+                    e.preventDefault();
+                    this.undoRemove();
+                });
+                this.elements.undoButton.setAttribute('data-df-bound', 'true');
+            }
+            
+            // Individual row buttons (remove, duplicate, add after, move up/down)
+            this.listen(this.elements.fieldsContainer, 'click', (e) => {
+                const rowButton = e.target.closest('[data-remove-this-field], [data-duplicate-this-field], [data-add-after-this-field], [data-move-up], [data-move-down]');
                     
-                if (removeButton) {
+                if (rowButton) {
                     e.preventDefault();
-                    const fieldGroup = removeButton.closest('[data-field-group]');
-                    if (fieldGroup) {
-                        // Check if this field belongs to our group
-                        const fieldGroupName = fieldGroup.getAttribute('data-group-name');
-                if (!fieldGroupName || fieldGroupName === this.config.groupName) {
-                            this.removeSpecificField(fieldGroup);
-                        }
+                    const fieldGroup = rowButton.closest('[data-field-group]');
+                    // Check if this field belongs to our group (and not to a nested repeater)
+                    if (!fieldGroup || !this.isOwnFieldGroup(fieldGroup)) return;
+                    
+                    if (rowButton.hasAttribute('data-remove-this-field')) {
+                        this.removeSpecificField(fieldGroup);
+                    } else if (rowButton.hasAttribute('data-duplicate-this-field')) {
+                        this.duplicateField(fieldGroup);
+                    } else if (rowButton.hasAttribute('data-add-after-this-field')) {
+                        this.addField({
+                            at: this.getFieldPosition(fieldGroup) + 1,
+                            type: rowButton.getAttribute('data-row-type') || this.getRowType(fieldGroup) || undefined
+                        });
+                    } else {
+                        const position = this.getFieldPosition(fieldGroup);
+                        this.moveField(position, position + (rowButton.hasAttribute('data-move-up') ? -1 : 1));
+                        rowButton.focus();
                     }
                 }
             });
-        }
-        
-        /**
-         * Add a new field
-         */
-        addField(animate = true) {
-            const currentCount = this.getCurrentFieldCount();
-            this.logDebug('Attempting to add field', {
-                currentCount: currentCount,
-                maxFields: this.config.maxFields,
-                animate: animate
-            });
-
-            if (currentCount >= this.config.maxFields) {
-                this.logDebug('Cannot add field - maximum limit reached', {
-                    currentCount: currentCount,
-                    maxFields: this.config.maxFields
+            
+            // Formulas, conditional fields and aggregates follow the values of the rows
+            ['input', 'change'].forEach(eventName => {
+                this.listen(this.elements.fieldsContainer, eventName, (e) => {
+                    const fieldGroup = e.target.closest('[data-field-group]');
+                    if (fieldGroup && this.isOwnFieldGroup(fieldGroup)) {
+                        this.refreshFieldGroup(fieldGroup);
+                        this.updateAggregates();
+                    }
                 });
-                this.emit('maxFieldsReached', { 
-                    currentCount: currentCount,
-                    maxFields: this.config.maxFields 
+            });
+            
+            // Debounced validation while typing
+            if (this.config.validateOnInput) {
+                ['input', 'change'].forEach(eventName => {
+                    this.listen(this.elements.fieldsContainer, eventName, (e) => {
+                        const fieldGroup = e.target.closest('[data-field-group]');
+                        if (fieldGroup && this.isOwnFieldGroup(fieldGroup)) {
+                            this.scheduleValidation(fieldGroup);
+                        }
+                    });
                 });
-                return false;
             }
             
-            if (this.config.validateOnAdd && !this.validateExistingFields()) {
-                this.logDebug('Cannot add field - validation failed');
-                this.emit('validationFailed', { 
-                    message: 'Please fill out existing fields before adding new ones' 
+            // Drag handles: pointer dragging and arrow keys
+            this.listen(this.elements.fieldsContainer, 'pointerdown', (e) => this.startDrag(e));
+            this.listen(this.elements.fieldsContainer, 'keydown', (e) => {
+                if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+                
+                const handle = e.target.closest('[data-drag-handle]');
+                const fieldGroup = handle && handle.closest('[data-field-group]');
+                if (!fieldGroup || !this.isOwnFieldGroup(fieldGroup)) return;
+                
+                e.preventDefault();
+                const position = this.getFieldPosition(fieldGroup);
+                this.moveField(position, position + (e.key === 'ArrowUp' ? -1 : 1));
+                handle.focus();
+            });
+            
+            // Draft autosave (nested repeaters are saved as part of the top-level instance)
+            if (this.config.persist && !this.parent) {
+                ['input', 'change'].forEach(eventName => {
+                    this.listen(this.elements.fieldsContainer, eventName, () => this.scheduleDraftSave());
                 });
-                return false;
+                
+                // The browser only fires submit once constraint validation has passed. Listening on window
+                // runs after the form's own handlers, so a submit they cancelled keeps the draft.
+                const form = this.elements.fieldsContainer.closest('form');
+                if (form) {
+                    this.listen(window, 'submit', (e) => {
+                        if (e.target === form && !e.defaultPrevented) this.clearDraft();
+                    });
+                }
+            }
+        }
+        
+        /**
+         * Add an event listener and remember it so destroy() can remove it
+         */
+        listen(target, type, handler) {
+            target.addEventListener(type, handler);
+            this.listeners.push({ target, type, handler });
+        }
+        
+        /**
+         * Remove every listener added through listen()
+         */
+        unbindEvents() {
+            if (this.stopDrag) {
+                this.stopDrag();
             }
             
-            this.fieldCounter++;
-            const newField = this.createNewField(this.fieldCounter);
-            this.insertField(newField, animate);
-            
-            const newCount = this.getCurrentFieldCount();
-            this.logDebug('Field added successfully', {
-                fieldIndex: this.fieldCounter,
-                previousCount: currentCount,
-                newCount: newCount,
-                animated: animate && this.config.animationSpeed > 0
+            this.listeners.forEach(({ target, type, handler }) => {
+                target.removeEventListener(type, handler);
+                if (target !== window) target.removeAttribute('data-df-bound');
             });
-            
-            this.updateButtonStates();
-            this.emit('fieldAdded', {
-                fieldGroup: newField,
-                fieldIndex: this.fieldCounter,
-                totalFields: newCount,
-                instanceId: this.instanceId
+            this.listeners = [];
+        }
+        
+        /**
+         * Let [data-drag-handle] elements take touch drags instead of scrolling the page
+         */
+        prepareDragHandles(root) {
+            root.querySelectorAll('[data-drag-handle]').forEach(handle => {
+                handle.style.touchAction = 'none';
             });
-            
-            return newField;
         }
         
         /**
-         * Insert field into DOM
+         * Start dragging a row by its [data-drag-handle]
          */
-        insertField(newField, animate) {
-            const existingFields = this.getOwnFieldGroups();
-            const lastField = existingFields[existingFields.length - 1];
+        startDrag(e) {
+            const handle = e.target.closest('[data-drag-handle]');
+            const fieldGroup = handle && handle.closest('[data-field-group]');
+            if (!fieldGroup || !this.isOwnFieldGroup(fieldGroup) || e.button > 0) return;
             
-            // Insert after the last field group
-            if (lastField && lastField.nextSibling) {
-                this.elements.fieldsContainer.insertBefore(newField, lastField.nextSibling);
-            } else {
-                this.elements.fieldsContainer.appendChild(newField);
+            e.preventDefault();
+            // Keep receiving the pointer's events when a finger leaves the handle
+            if (handle.setPointerCapture) {
+                try {
+                    handle.setPointerCapture(e.pointerId);
+                } catch (error) {
+                    // The pointer is already gone (e.g. a synthetic event)
+                }
             }
+            const fromIndex = this.getFieldPosition(fieldGroup);
+            let toIndex = fromIndex;
+            fieldGroup.classList.add('is-dragging');
             
-            if (animate && this.config.animationSpeed > 0) {
-                this.animateFieldIn(newField);
-            }
+            const onPointerMove = (moveEvent) => {
+                // Target position = number of other rows whose midpoint is above the pointer
+                toIndex = this.getFieldGroups()
+                    .filter(field => field !== fieldGroup)
+                    .filter(field => {
+                        const rect = field.getBoundingClientRect();
+                        return moveEvent.clientY > rect.top + rect.height / 2;
+                    }).length;
+            };
+            // Also called by destroy() to abandon a drag in progress
+            this.stopDrag = () => {
+                document.removeEventListener('pointermove', onPointerMove);
+                document.removeEventListener('pointerup', onPointerUp);
+                document.removeEventListener('pointercancel', onPointerCancel);
+                if (handle.hasPointerCapture && handle.hasPointerCapture(e.pointerId)) {
+                    handle.releasePointerCapture(e.pointerId);
+                }
+                fieldGroup.classList.remove('is-dragging');
+                this.stopDrag = null;
+            };
+            const onPointerUp = () => {
+                this.stopDrag();
+                
+                if (toIndex !== fromIndex) {
+                    this.moveField(fromIndex, toIndex);
+                }
+            };
+            // The browser took the pointer over (e.g. to scroll): leave the row where it was
+            const onPointerCancel = () => this.stopDrag();
+            
+            document.addEventListener('pointermove', onPointerMove);
+            document.addEventListener('pointerup', onPointerUp);
+            document.addEventListener('pointercancel', onPointerCancel);
         }
         
         /**
-         * Get field groups that belong to this instance
+         * Watch fieldsContainer for rows inserted or removed by other scripts
          */
-        getOwnFieldGroups() {
-            const allFields = this.elements.fieldsContainer.querySelectorAll('[data-field-group]');
-            return Array.from(allFields).filter(field => {
-                const fieldGroupName = field.getAttribute('data-group-name');
-            return !fieldGroupName || fieldGroupName === this.config.groupName;
-            });
+        startObserving() {
+            if (this.observer || typeof MutationObserver === 'undefined') return;
+            
+            this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+            this.observer.observe(this.elements.fieldsContainer, { childList: true, subtree: true });
         }
         
         /**
-         * Animate field in
+         * Stop watching fieldsContainer
          */
-        animateFieldIn(field) {
-            field.style.opacity = '0';
-            field.style.transform = 'translateY(-10px)';
-            
-            requestAnimationFrame(() => {
-                field.style.transition = `opacity ${this.config.animationSpeed}ms ease, transform ${this.config.animationSpeed}ms ease`;
-                field.style.opacity = '1';
-                field.style.transform = 'translateY(0)';
-            });
+        stopObserving() {
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
         }
         
         /**
-         * Remove last field
+         * Adopt foreign rows and forget rows that disappeared without going through removeField()
          */
-        removeField() {
-            const fields = this.getOwnFieldGroups();
-            const currentCount = fields.length;
+        handleMutations(mutations) {
+            const fieldsContainer = this.elements.fieldsContainer;
+            const collectGroups = node => node.nodeType === 1
+                ? (node.matches('[data-field-group]') ? [node] : []).concat(Array.from(node.querySelectorAll('[data-field-group]')))
+                : [];
+            const adopted = [];
+            const detached = [];
             
-            this.logDebug('Attempting to remove last field', {
-                currentCount: currentCount,
-                minFields: this.config.minFields
-            });
-
-            if (currentCount <= this.config.minFields) {
-                this.logDebug('Cannot remove field - minimum limit reached', {
-                    currentCount: currentCount,
-                    minFields: this.config.minFields
+            mutations.forEach(mutation => {
+                Array.from(mutation.addedNodes).forEach(node => {
+                    collectGroups(node).forEach(field => {
+                        if (!this.managedFields.has(field) && field !== this.elements.sourceField &&
+                            fieldsContainer.contains(field) && this.isOwnFieldGroup(field)) {
+                            adopted.push(this.adoptField(field));
+                        }
+                    });
                 });
-                this.emit('minFieldsReached', {
-                    currentCount: currentCount,
-                    minFields: this.config.minFields
+                Array.from(mutation.removedNodes).forEach(node => {
+                    // Rows moved within the container are still managed and still connected
+                    collectGroups(node).forEach(field => {
+                        if (this.managedFields.has(field) && !fieldsContainer.contains(field)) {
+                            this.destroyChildren(field);
+                            this.managedFields.delete(field);
+                            detached.push(field);
+                        }
+                    });
                 });
-                return false;
+            });
+            
+            if (!adopted.length && !detached.length) return;
+            
+            if (detached.length && this.config.reindexOnRemove) {
+                this.reindexFields();
             }
+            this.updateButtonStates();
             
-            const lastField = fields[fields.length - 1];
-            const fieldIndex = lastField.getAttribute('data-field-group');
-            this.logDebug('Removing field', {
-                fieldIndex: fieldIndex,
-                beforeCount: currentCount
+            const totalFields = this.getCurrentFieldCount();
+            this.logDebug('External changes observed', {
+                adopted: adopted.length,
+                detached: detached.length,
+                totalFields: totalFields
             });
             
-            this.removeSpecificField(lastField);
-            return true;
+            adopted.forEach(field => {
+                this.emit('fieldAdopted', {
+                    fieldGroup: field,
+                    fieldIndex: field.getAttribute('data-field-group'),
+                    position: this.getFieldPosition(field),
+                    totalFields: totalFields,
+                    instanceId: this.instanceId
+                });
+            });
+            detached.forEach(field => {
+                this.emit('fieldDetached', {
+                    fieldGroup: field,
+                    fieldIndex: field.getAttribute('data-field-group'),
+                    totalFields: totalFields,
+                    instanceId: this.instanceId
+                });
+            });
         }
         
         /**
-         * Remove specific field
+         * Turn a row inserted by another script into one of ours: next index, prefixed names, nested repeaters
          */
-        removeSpecificField(fieldElement) {
-            const currentCount = this.getCurrentFieldCount();
-            const fieldIndex = fieldElement.getAttribute('data-field-group');
+        adoptField(field) {
+            // A row copied from an existing one still carries that row's index in its names
+            const previousIndex = field.getAttribute('data-field-group');
+            this.fieldCounter++;
             
-            this.logDebug('Attempting to remove specific field', {
-                fieldIndex: fieldIndex,
-                currentCount: currentCount,
-                minFields: this.config.minFields
+            field.setAttribute('data-field-group', this.fieldCounter);
+            if (this.config.groupName !== 'default') {
+                field.setAttribute('data-group-name', this.config.groupName);
+            }
+            
+            this.getRowFormElements(field).forEach(element => {
+                if (previousIndex) {
+                    ['name', 'id', 'for', 'data-name'].forEach(attr => {
+                        const currentValue = element.getAttribute(attr);
+                        if (currentValue) {
+                            element.setAttribute(attr, this.stripFieldPrefix(currentValue, previousIndex));
+                        }
+                    });
+                }
+                this.updateFieldElement(element, this.fieldCounter);
+            });
+            
+            this.managedFields.add(field);
+            this.createChildInstances(field);
+            this.refreshFieldGroup(field);
+            this.prepareDragHandles(field);
+            return field;
+        }
+        
+        /**
+         * Add a new field
+         * Accepts an animate flag or an options object: { animate, at } where `at` is a zero-based position.
+         * Returns the new field group, or false when the field could not be added - as a Promise only
+         * when validateOnAdd has asynchronous rules pending or a beforeAdd handler returned a Promise.
+         */
+        addField(options = {}) {
+            const { animate = true, at = null, type = this.defaultRowType } = typeof options === 'boolean' ? { animate: options } : options;
+            this.logDebug('Attempting to add field', {
+                currentCount: this.getCurrentFieldCount(),
+                maxFields: this.config.maxFields,
+                animate: animate,
+                at: at,
+                type: type
             });
+            
+            if (type && !this.elements.rowTypes[type]) {
+                this.logError(`Unknown row type "${type}"`);
+                return false;
+            }
 
+            if (this.isMaxFieldsReached(type)) {
+                return false;
+            }
+            
+            // Handlers may veto the row, possibly after an asynchronous confirmation
+            const confirmAndCreate = () => this.whenAllowed(this.emitCancelable('beforeAdd', {
+                at: at,
+                type: type,
+                currentCount: this.getCurrentFieldCount(),
+                instanceId: this.instanceId
+            }), () => {
+                // Rows may have been added while waiting
+                return this.isMaxFieldsReached(type) ? false : this.createField({ animate: animate, at: at, type: type });
+            });
+            
+            if (!this.config.validateOnAdd) {
+                return confirmAndCreate();
+            }
+            
+            const proceed = validation => {
+                if (!validation.valid) {
+                    this.logDebug('Cannot add field - validation failed');
+                    this.emit('validationFailed', { 
+                        message: 'Please fill out existing fields before adding new ones',
+                        rows: validation.rows
+                    });
+                    return false;
+                }
+                return confirmAndCreate();
+            };
+            
+            // Waits for asynchronous rules (e.g. server checks) to settle
+            const validation = this.validate();
+            return validation.pending ? validation.promise.then(proceed) : proceed(validation);
+        }
+        
+        /**
+         * Check the maximum limit (own or shared), emitting maxFieldsReached when it is hit
+         */
+        isMaxFieldsReached(rowType = null) {
+            const currentCount = this.getCurrentFieldCount();
+            const sharedLimit = this.getSharedLimit();
+            
+            if (currentCount >= this.config.maxFields) {
+                this.logDebug('Cannot add field - maximum limit reached', {
+                    currentCount: currentCount,
+                    maxFields: this.config.maxFields
+                });
+                this.emit('maxFieldsReached', { 
+                    currentCount: currentCount,
+                    maxFields: this.config.maxFields 
+                });
+                return true;
+            }
+            
+            if (sharedLimit && sharedLimit.totalFields >= sharedLimit.maxFields) {
+                this.logDebug('Cannot add field - shared maximum limit reached', sharedLimit);
+                this.emit('maxFieldsReached', {
+                    currentCount: sharedLimit.totalFields,
+                    maxFields: sharedLimit.maxFields,
+                    limitGroup: sharedLimit.name
+                });
+                return true;
+            }
+            
+            const typeLimit = rowType && this.elements.rowTypes[rowType];
+            if (typeLimit && this.getRowTypeCount(rowType) >= typeLimit.maxFields) {
+                this.logDebug('Cannot add field - row type maximum reached', { rowType: rowType, maxFields: typeLimit.maxFields });
+                this.emit('maxFieldsReached', {
+                    currentCount: this.getRowTypeCount(rowType),
+                    maxFields: typeLimit.maxFields,
+                    rowType: rowType
+                });
+                return true;
+            }
+            
+            return false;
+        }
+        
+        /**
+         * Check the minimum limit (own or shared), emitting minFieldsReached when it is hit
+         */
+        isMinFieldsReached(rowType = null) {
+            const currentCount = this.getCurrentFieldCount();
+            const sharedLimit = this.getSharedLimit();
+            
             if (currentCount <= this.config.minFields) {
                 this.logDebug('Cannot remove field - minimum limit reached', {
-                    fieldIndex: fieldIndex,
                     currentCount: currentCount,
                     minFields: this.config.minFields
                 });
@@ -514,214 +1179,1956 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
                     currentCount: currentCount,
                     minFields: this.config.minFields
                 });
-                return false;
+                return true;
             }
             
-            if (this.config.animationSpeed > 0) {
-                this.logDebug('Animating field removal', {
-                    fieldIndex: fieldIndex,
-                    animationSpeed: this.config.animationSpeed
+            if (sharedLimit && sharedLimit.totalFields <= sharedLimit.minFields) {
+                this.logDebug('Cannot remove field - shared minimum limit reached', sharedLimit);
+                this.emit('minFieldsReached', {
+                    currentCount: sharedLimit.totalFields,
+                    minFields: sharedLimit.minFields,
+                    limitGroup: sharedLimit.name
                 });
-                this.animateFieldOut(fieldElement);
-            } else {
-                this.logDebug('Removing field immediately (no animation)', {
-                    fieldIndex: fieldIndex
+                return true;
+            }
+            
+            const typeLimit = rowType && this.elements.rowTypes[rowType];
+            if (typeLimit && this.getRowTypeCount(rowType) <= typeLimit.minFields) {
+                this.logDebug('Cannot remove field - row type minimum reached', { rowType: rowType, minFields: typeLimit.minFields });
+                this.emit('minFieldsReached', {
+                    currentCount: this.getRowTypeCount(rowType),
+                    minFields: typeLimit.minFields,
+                    rowType: rowType
                 });
-                this.removeFieldElement(fieldElement);
+                return true;
             }
             
-            return true;
+            return false;
         }
         
         /**
-         * Animate field out
+         * Get the shared budget this instance joined through config.limitGroup, if any
          */
-        animateFieldOut(fieldElement) {
-            fieldElement.style.transition = `opacity ${this.config.animationSpeed}ms ease, transform ${this.config.animationSpeed}ms ease`;
-            fieldElement.style.opacity = '0';
-            fieldElement.style.transform = 'translateY(-10px)';
+        getSharedLimit() {
+            return this.config.limitGroup ? manager.getLimitStatus(this.config.limitGroup) : null;
+        }
+        
+        /**
+         * Get the row type of a row (null for untyped rows)
+         */
+        getRowType(fieldGroup) {
+            return fieldGroup.getAttribute('data-row-type') || null;
+        }
+        
+        /**
+         * Count this instance's rows of one type
+         */
+        getRowTypeCount(rowType) {
+            return this.getFieldGroups().filter(field => this.getRowType(field) === rowType).length;
+        }
+        
+        /**
+         * Create, insert and announce a new field (limits and validation are checked by addField)
+         */
+        createField({ animate = true, at = null, type = this.defaultRowType } = {}) {
+            const currentCount = this.getCurrentFieldCount();
             
-            requestAnimationFrame(() => {
-                setTimeout(() => {
-                    this.removeFieldElement(fieldElement);
-                }, this.config.animationSpeed);
+            this.fieldCounter++;
+            const newField = this.createNewField(this.fieldCounter, type);
+            this.insertField(newField, animate, at);
+            this.createChildInstances(newField);
+            
+            const newCount = this.getCurrentFieldCount();
+            const position = this.getFieldPosition(newField);
+            this.logDebug('Field added successfully', {
+                fieldIndex: this.fieldCounter,
+                position: position,
+                previousCount: currentCount,
+                newCount: newCount,
+                animated: animate && this.config.animationSpeed > 0
+            });
+            
+            this.updateButtonStates();
+            this.emit('fieldAdded', {
+                fieldGroup: newField,
+                fieldIndex: this.fieldCounter,
+                rowType: this.getRowType(newField),
+                position: position,
+                totalFields: newCount,
+                instanceId: this.instanceId
             });
+            
+            return newField;
         }
         
         /**
-         * Remove field element from DOM
+         * Duplicate a row with its current values, directly after the original
+         * Returns like addField() (beforeAdd handlers can cancel it)
          */
-        removeFieldElement(fieldElement) {
-            if (fieldElement.parentNode) {
-                const fieldIndex = fieldElement.getAttribute('data-field-group');
-                const beforeCount = this.getCurrentFieldCount();
-                
-                fieldElement.parentNode.removeChild(fieldElement);
-                const afterCount = this.getCurrentFieldCount();
-                
-                this.logDebug('Field removed from DOM', {
-                    fieldIndex: fieldIndex,
-                    beforeCount: beforeCount,
-                    afterCount: afterCount
-                });
-                
-                this.updateButtonStates();
-                this.emit('fieldRemoved', { 
-                    totalFields: afterCount,
-                    instanceId: this.instanceId
-                });
+        duplicateField(fieldGroup, animate = true) {
+            const rowType = this.getRowType(fieldGroup);
+            if (this.isMaxFieldsReached(rowType)) {
+                return false;
             }
+            
+            return this.whenAllowed(this.emitCancelable('beforeAdd', {
+                at: this.getFieldPosition(fieldGroup) + 1,
+                type: rowType,
+                sourceField: fieldGroup,
+                currentCount: this.getCurrentFieldCount(),
+                instanceId: this.instanceId
+            }), () => {
+                // The original may be gone, or the maximum reached, after waiting for a beforeAdd handler
+                if (!fieldGroup.parentNode || this.isMaxFieldsReached(rowType)) {
+                    return false;
+                }
+                return this.createDuplicate(fieldGroup, rowType, animate);
+            });
         }
         
         /**
-         * Create new field from source
+         * Insert and announce the copy of a row (limits and beforeAdd are checked by duplicateField)
          */
-        createNewField(index) {
-            const newField = this.elements.sourceField.cloneNode(true);
+        createDuplicate(fieldGroup, rowType, animate) {
+            this.fieldCounter++;
+            const newField = this.createNewField(this.fieldCounter, rowType);
+            fieldGroup.parentNode.insertBefore(newField, fieldGroup.nextSibling);
+            if (animate && this.config.animationSpeed > 0) {
+                this.animateFieldIn(newField);
+            }
+            this.createChildInstances(newField);
             
-            newField.removeAttribute('data-form-container');
-            newField.setAttribute('data-field-group', index);
+            // Copy the current values (nested repeaters included) through the un-prefixed names
+            this.setFieldData(newField, this.getFieldData(fieldGroup));
             
-            // Set group ID for multi-group support
-            if (this.config.groupName !== 'default') {
-                newField.setAttribute('data-group-name', this.config.groupName);
+            const newCount = this.getCurrentFieldCount();
+            this.logDebug('Field duplicated', {
+                sourceIndex: fieldGroup.getAttribute('data-field-group'),
+                fieldIndex: this.fieldCounter,
+                newCount: newCount
+            });
+            
+            this.updateButtonStates();
+            this.emit('fieldDuplicated', {
+                sourceField: fieldGroup,
+                fieldGroup: newField,
+                fieldIndex: this.fieldCounter,
+                totalFields: newCount,
+                instanceId: this.instanceId
+            });
+            
+            return newField;
+        }
+        
+        /**
+         * Insert field into DOM (at a zero-based position, or after the last field group)
+         */
+        insertField(newField, animate, at = null) {
+            const existingFields = this.getOwnFieldGroups();
+            const lastField = existingFields[existingFields.length - 1];
+            const fieldAtPosition = at !== null ? this.getFieldGroups()[at] : null;
+            
+            if (fieldAtPosition) {
+                fieldAtPosition.parentNode.insertBefore(newField, fieldAtPosition);
+            } else if (lastField && lastField.nextSibling) {
+                // Insert after the last field group
+                this.elements.fieldsContainer.insertBefore(newField, lastField.nextSibling);
+            } else if (!lastField && this.elements.template && this.elements.template.parentNode) {
+                // First row goes where the template sits
+                this.elements.template.parentNode.insertBefore(newField, this.elements.template);
+            } else {
+                this.elements.fieldsContainer.appendChild(newField);
             }
             
-            // Reset display styles
-            newField.style.display = '';
-            newField.style.visibility = '';
-            newField.style.position = '';
-            newField.style.left = '';
+            if (animate && this.config.animationSpeed > 0) {
+                this.animateFieldIn(newField);
+            }
+        }
+        
+        /**
+         * Get field groups that belong to this instance
+         */
+        getOwnFieldGroups() {
+            const allFields = this.elements.fieldsContainer.querySelectorAll('[data-field-group]');
+            return Array.from(allFields).filter(field => this.isOwnFieldGroup(field));
+        }
+        
+        /**
+         * Check whether a field group belongs to this instance
+         */
+        isOwnFieldGroup(field) {
+            const fieldGroupName = field.getAttribute('data-group-name');
+            if (fieldGroupName && fieldGroupName !== this.config.groupName) {
+                return false;
+            }
             
-            // Update form elements and clear values
-            const formElements = newField.querySelectorAll('input, textarea, select, label, [id], [name], [for], [data-name]');
-            formElements.forEach(element => this.updateFieldElement(element, index));
+            // Only rows inside fieldsContainer count; a child's container is the parent row, which isn't the child's
+            const fieldsContainer = this.elements.fieldsContainer;
+            if (field === fieldsContainer || !fieldsContainer.contains(field)) {
+                return false;
+            }
             
-            this.clearFieldValues(newField);
+            // Groups nested inside one of our rows (or inside a hidden source) belong to a child instance
+            const enclosingGroup = field.parentElement && field.parentElement.closest('[data-field-group], [data-df-source]');
+            return !enclosingGroup || enclosingGroup === fieldsContainer || !fieldsContainer.contains(enclosingGroup);
+        }
+        
+        /**
+         * Get the form elements of a row, excluding those owned by nested repeaters
+         */
+        getRowFormElements(field) {
+            const formElements = field.querySelectorAll('input, textarea, select, label, [id], [name], [for], [data-name]');
+            return Array.from(formElements).filter(element => element.closest('[data-field-group], [data-df-source]') === field);
+        }
+        
+        /**
+         * Get a row's own elements matching a selector, excluding those of nested repeaters
+         */
+        getRowElements(field, selector) {
+            return Array.from(field.querySelectorAll(selector))
+                .filter(element => element.closest('[data-field-group], [data-df-source]') === field);
+        }
+        
+        /**
+         * Get this instance's rows in DOM order, excluding the hidden source field
+         */
+        getFieldGroups() {
+            return this.getOwnFieldGroups().filter(field => field !== this.elements.sourceField);
+        }
+        
+        /**
+         * Get the zero-based position of a row
+         */
+        getFieldPosition(fieldGroup) {
+            return this.getFieldGroups().indexOf(fieldGroup);
+        }
+        
+        /**
+         * Move a row from one zero-based position to another
+         * Returns true when the row was moved, or false when it was out of range or cancelled
+         * (a Promise of it when a beforeMove handler returned a Promise).
+         */
+        moveField(fromIndex, toIndex) {
+            const fields = this.getFieldGroups();
             
-            return newField;
+            if (fromIndex === toIndex || !fields[fromIndex] || !fields[toIndex]) {
+                this.logDebug('Cannot move field - position out of range', {
+                    fromIndex: fromIndex,
+                    toIndex: toIndex,
+                    totalFields: fields.length
+                });
+                return false;
+            }
+            
+            const fieldGroup = fields[fromIndex];
+            return this.whenAllowed(this.emitCancelable('beforeMove', {
+                fieldGroup: fieldGroup,
+                fromIndex: fromIndex,
+                toIndex: toIndex,
+                instanceId: this.instanceId
+            }), () => this.moveFieldElement(fieldGroup, fromIndex, toIndex));
         }
         
         /**
-         * Clear field values
+         * Move a row once beforeMove allowed it
          */
-        clearFieldValues(field) {
-            const inputs = field.querySelectorAll('input, textarea, select');
-            inputs.forEach(input => {
-                if (input.type !== 'radio' && input.type !== 'checkbox') {
-                    input.value = '';
-                } else {
-                    input.checked = false;
-                }
+        moveFieldElement(fieldGroup, fromIndex, toIndex) {
+            // The rows may have changed while waiting for a beforeMove handler
+            const fields = this.getFieldGroups();
+            if (fields[fromIndex] !== fieldGroup || !fields[toIndex]) return false;
+            
+            const reference = toIndex > fromIndex ? fields[toIndex].nextSibling : fields[toIndex];
+            fieldGroup.parentNode.insertBefore(fieldGroup, reference);
+            
+            // Keep names consistent with the new order
+            const indexMap = this.reindexFields();
+            
+            this.logDebug('Field moved', {
+                fromIndex: fromIndex,
+                toIndex: toIndex
+            });
+            
+            this.updateButtonStates();
+            this.emit('fieldMoved', {
+                fieldGroup: fieldGroup,
+                fromIndex: fromIndex,
+                toIndex: toIndex,
+                indexMap: indexMap,
+                instanceId: this.instanceId
             });
+            return true;
         }
         
         /**
-         * Update field element attributes
+         * Animate field in
          */
-        updateFieldElement(element, index) {
-            const attributesToUpdate = ['name', 'id', 'for', 'data-name'];
+        animateFieldIn(field) {
+            field.style.opacity = '0';
+            field.style.transform = 'translateY(-10px)';
             
-            attributesToUpdate.forEach(attr => {
-                const currentValue = element.getAttribute(attr);
-                if (currentValue) {
-                    const newValue = `${this.config.fieldPrefix}-${index}-${currentValue}`;
-                    element.setAttribute(attr, newValue);
-                }
+            requestAnimationFrame(() => {
+                field.style.transition = `opacity ${this.config.animationSpeed}ms ease, transform ${this.config.animationSpeed}ms ease`;
+                field.style.opacity = '1';
+                field.style.transform = 'translateY(0)';
             });
-            
+        }
+        
+        /**
+         * Remove last field
+         * Returns true when the row was removed, or false when the minimum was reached or removal was cancelled
+         * (a Promise of it when a beforeRemove handler returned a Promise).
+         */
+        removeField() {
+            const fields = this.getOwnFieldGroups();
+            const currentCount = fields.length;
+            
+            this.logDebug('Attempting to remove last field', {
+                currentCount: currentCount,
+                minFields: this.config.minFields
+            });
+            
+            const lastField = fields[fields.length - 1];
+            if (this.isMinFieldsReached(lastField && this.getRowType(lastField))) {
+                return false;
+            }
+            
+            const fieldIndex = lastField.getAttribute('data-field-group');
+            this.logDebug('Removing field', {
+                fieldIndex: fieldIndex,
+                beforeCount: currentCount
+            });
+            
+            return this.removeSpecificField(lastField);
+        }
+        
+        /**
+         * Remove specific field
+         * Returns like removeField()
+         */
+        removeSpecificField(fieldElement) {
+            const currentCount = this.getCurrentFieldCount();
+            const fieldIndex = fieldElement.getAttribute('data-field-group');
+            
+            this.logDebug('Attempting to remove specific field', {
+                fieldIndex: fieldIndex,
+                currentCount: currentCount,
+                minFields: this.config.minFields
+            });
+
+            if (this.isMinFieldsReached(this.getRowType(fieldElement))) {
+                return false;
+            }
+            
+            // e.g. "Are you sure you want to delete this reference?"
+            return this.whenAllowed(this.emitCancelable('beforeRemove', {
+                fieldGroup: fieldElement,
+                fieldIndex: fieldIndex,
+                position: this.getFieldPosition(fieldElement),
+                values: this.getFieldData(fieldElement),
+                instanceId: this.instanceId
+            }), () => {
+                // The row may be gone, or the minimum reached, after waiting for a beforeRemove handler
+                if (!fieldElement.parentNode || this.isMinFieldsReached(this.getRowType(fieldElement))) {
+                    return false;
+                }
+                
+                if (this.config.animationSpeed > 0) {
+                    this.logDebug('Animating field removal', {
+                        fieldIndex: fieldIndex,
+                        animationSpeed: this.config.animationSpeed
+                    });
+                    this.animateFieldOut(fieldElement);
+                } else {
+                    this.logDebug('Removing field immediately (no animation)', {
+                        fieldIndex: fieldIndex
+                    });
+                    this.removeFieldElement(fieldElement);
+                }
+                return true;
+            });
+        }
+        
+        /**
+         * Animate field out
+         */
+        animateFieldOut(fieldElement) {
+            fieldElement.style.transition = `opacity ${this.config.animationSpeed}ms ease, transform ${this.config.animationSpeed}ms ease`;
+            fieldElement.style.opacity = '0';
+            fieldElement.style.transform = 'translateY(-10px)';
+            
+            requestAnimationFrame(() => {
+                setTimeout(() => {
+                    this.removeFieldElement(fieldElement);
+                }, this.config.animationSpeed);
+            });
+        }
+        
+        /**
+         * Remove field element from DOM
+         */
+        removeFieldElement(fieldElement, clearRedo = true) {
+            if (fieldElement.parentNode) {
+                const fieldIndex = fieldElement.getAttribute('data-field-group');
+                const beforeCount = this.getCurrentFieldCount();
+                
+                // Keep what's needed to restore the row (nested repeaters included)
+                this.undoStack.push({
+                    element: fieldElement,
+                    values: this.getFieldData(fieldElement),
+                    position: this.getFieldPosition(fieldElement),
+                    fieldIndex: fieldIndex,
+                    rowType: this.getRowType(fieldElement)
+                });
+                if (this.undoStack.length > this.config.undoLimit) {
+                    this.undoStack.shift();
+                }
+                if (clearRedo) {
+                    this.redoStack = [];
+                }
+                
+                this.destroyChildren(fieldElement);
+                this.managedFields.delete(fieldElement);
+                fieldElement.parentNode.removeChild(fieldElement);
+                const afterCount = this.getCurrentFieldCount();
+                
+                this.logDebug('Field removed from DOM', {
+                    fieldIndex: fieldIndex,
+                    beforeCount: beforeCount,
+                    afterCount: afterCount
+                });
+                
+                if (this.config.reindexOnRemove) {
+                    this.reindexFields();
+                }
+                
+                this.updateButtonStates();
+                this.showUndoButton();
+                this.emit('fieldRemoved', { 
+                    totalFields: afterCount,
+                    instanceId: this.instanceId
+                });
+            }
+        }
+        
+        /**
+         * Restore the most recently removed row
+         * Returns the restored row or false, like addField() (beforeAdd handlers can cancel it)
+         */
+        undoRemove() {
+            const entry = this.undoStack[this.undoStack.length - 1];
+            if (!entry) {
+                this.logDebug('Nothing to undo');
+                return false;
+            }
+            
+            if (this.isMaxFieldsReached(entry.rowType)) {
+                return false;
+            }
+            
+            return this.whenAllowed(this.emitCancelable('beforeAdd', {
+                at: entry.position,
+                type: entry.rowType,
+                values: entry.values,
+                currentCount: this.getCurrentFieldCount(),
+                instanceId: this.instanceId
+            }), () => {
+                // Another undo may have run, or the maximum been reached, while waiting
+                if (this.undoStack[this.undoStack.length - 1] !== entry || this.isMaxFieldsReached(entry.rowType)) {
+                    return false;
+                }
+                return this.restoreEntry(entry);
+            });
+        }
+        
+        /**
+         * Rebuild a removed row from its undo entry (limits and beforeAdd are checked by undoRemove)
+         */
+        restoreEntry(entry) {
+            this.undoStack.pop();
+            this.hideUndoButton();
+            
+            // Rebuild from the source rather than re-inserting the old element,
+            // so nested repeaters and names are set up the same way as a new row
+            this.fieldCounter++;
+            const restoredField = this.createNewField(this.fieldCounter, entry.rowType);
+            this.insertField(restoredField, true, entry.position);
+            this.createChildInstances(restoredField);
+            this.setFieldData(restoredField, entry.values);
+            
+            if (this.config.reindexOnRemove) {
+                this.reindexFields();
+            }
+            
+            this.redoStack.push({ ...entry, element: restoredField });
+            
+            const newCount = this.getCurrentFieldCount();
+            this.logDebug('Field restored', {
+                fieldIndex: restoredField.getAttribute('data-field-group'),
+                position: entry.position,
+                newCount: newCount
+            });
+            
+            this.updateButtonStates();
+            this.emit('fieldRestored', {
+                fieldGroup: restoredField,
+                removedField: entry.element,
+                fieldIndex: restoredField.getAttribute('data-field-group'),
+                position: this.getFieldPosition(restoredField),
+                totalFields: newCount,
+                instanceId: this.instanceId
+            });
+            
+            return restoredField;
+        }
+        
+        /**
+         * Remove again the row brought back by the last undoRemove()
+         * Returns like removeField() (beforeRemove handlers can cancel it)
+         */
+        redo() {
+            const entry = this.redoStack[this.redoStack.length - 1];
+            if (!entry || !entry.element.parentNode) {
+                this.logDebug('Nothing to redo');
+                this.redoStack = [];
+                return false;
+            }
+            
+            const fieldElement = entry.element;
+            if (this.isMinFieldsReached(this.getRowType(fieldElement))) {
+                return false;
+            }
+            
+            return this.whenAllowed(this.emitCancelable('beforeRemove', {
+                fieldGroup: fieldElement,
+                fieldIndex: fieldElement.getAttribute('data-field-group'),
+                position: this.getFieldPosition(fieldElement),
+                values: this.getFieldData(fieldElement),
+                instanceId: this.instanceId
+            }), () => {
+                // Another redo may have run, or the row be gone, while waiting
+                if (this.redoStack[this.redoStack.length - 1] !== entry || !fieldElement.parentNode ||
+                    this.isMinFieldsReached(this.getRowType(fieldElement))) {
+                    return false;
+                }
+                
+                this.redoStack.pop();
+                this.removeFieldElement(fieldElement, false);
+                return true;
+            });
+        }
+        
+        /**
+         * Show [data-undo-btn] for config.undoTimeout milliseconds
+         */
+        showUndoButton() {
+            if (!this.elements.undoButton) return;
+            
+            this.elements.undoButton.style.display = '';
+            clearTimeout(this.undoTimer);
+            this.undoTimer = setTimeout(() => this.hideUndoButton(), this.config.undoTimeout);
+        }
+        
+        /**
+         * Hide [data-undo-btn]
+         */
+        hideUndoButton() {
+            clearTimeout(this.undoTimer);
+            this.undoTimer = null;
+            
+            if (this.elements.undoButton) {
+                this.elements.undoButton.style.display = 'none';
+            }
+        }
+        
+        /**
+         * Create new field from source
+         */
+        createNewField(index, type = this.defaultRowType) {
+            const rowType = type && this.elements.rowTypes[type];
+            const newField = (rowType ? rowType.blueprint : this.elements.sourceField).cloneNode(true);
+            
+            newField.removeAttribute('data-form-container');
+            newField.removeAttribute('data-df-source');
+            newField.setAttribute('data-field-group', index);
+            if (rowType) {
+                newField.setAttribute('data-row-type', type);
+            }
+            this.managedFields.add(newField);
+            
+            // Set group ID for multi-group support
+            if (this.config.groupName !== 'default') {
+                newField.setAttribute('data-group-name', this.config.groupName);
+            }
+            
+            // Reset display styles
+            newField.style.display = '';
+            newField.style.visibility = '';
+            newField.style.position = '';
+            newField.style.left = '';
+            
+            // Update form elements and clear values
+            const formElements = this.getRowFormElements(newField);
+            formElements.forEach(element => this.updateFieldElement(element, index));
+            
+            this.clearFieldValues(newField);
+            this.refreshFieldGroup(newField);
+            this.prepareDragHandles(newField);
+            
+            return newField;
+        }
+        
+        /**
+         * Clear field values (rows built from a template go back to the template's own values)
+         */
+        clearFieldValues(field) {
+            const useDefaults = !!this.elements.template;
+            const inputs = field.querySelectorAll('input, textarea, select');
+            inputs.forEach(input => {
+                if (input.type === 'radio' || input.type === 'checkbox') {
+                    input.checked = useDefaults && input.defaultChecked;
+                } else if (input.tagName === 'SELECT' && useDefaults) {
+                    Array.from(input.options).forEach(option => { option.selected = option.defaultSelected; });
+                } else {
+                    input.value = useDefaults ? input.defaultValue : '';
+                }
+            });
+        }
+        
+        /**
+         * Renumber rows 1..N in DOM order so indexes have no gaps
+         */
+        reindexFields() {
+            const fields = this.getFieldGroups();
+            const indexMap = {};
+            
+            // Renaming can briefly give two rows the same radio name, which would uncheck one of them
+            const checkedRadios = fields.reduce((all, field) => all.concat(Array.from(field.querySelectorAll('input[type="radio"]:checked'))), []);
+            
+            fields.forEach((field, i) => {
+                const oldIndex = field.getAttribute('data-field-group');
+                const newIndex = String(i + 1);
+                if (oldIndex === newIndex) return;
+                
+                indexMap[oldIndex] = i + 1;
+                field.setAttribute('data-field-group', newIndex);
+                this.getRowFormElements(field).forEach(element => {
+                    this.renameFieldElement(element, oldIndex, newIndex);
+                });
+                
+                // Nested repeaters carry the parent index in their prefix
+                this.getChildren(field).forEach(child => {
+                    child.setFieldPrefix(this.formatName(child.prefixSegment, newIndex));
+                });
+            });
+            
+            checkedRadios.forEach(radio => { radio.checked = true; });
+            this.fieldCounter = fields.length;
+            
+            if (Object.keys(indexMap).length) {
+                this.logDebug('Fields reindexed', { indexMap: indexMap });
+                this.emit('reindexed', {
+                    indexMap: indexMap,
+                    totalFields: fields.length,
+                    instanceId: this.instanceId
+                });
+            }
+            return indexMap;
+        }
+        
+        /**
+         * Change the field prefix and rename every row accordingly
+         */
+        setFieldPrefix(newPrefix) {
+            const oldPrefix = this.config.fieldPrefix;
+            if (oldPrefix === newPrefix) return this;
+            
+            this.getFieldGroups().forEach(field => {
+                const index = field.getAttribute('data-field-group');
+                this.getRowFormElements(field).forEach(element => {
+                    this.renameFieldElement(element, index, index, oldPrefix, newPrefix);
+                });
+                this.getChildren(field).forEach(child => {
+                    child.setFieldPrefix(this.formatName(child.prefixSegment, index, newPrefix));
+                });
+            });
+            
+            this.config.fieldPrefix = newPrefix;
+            return this;
+        }
+        
+        /**
+         * Replace a leading prefix in the name, id, for and data-name attributes
+         */
+        renameFieldElement(element, fromIndex, toIndex, fromPrefix = this.config.fieldPrefix, toPrefix = this.config.fieldPrefix) {
+            ['name', 'id', 'for', 'data-name'].forEach(attr => {
+                const currentValue = element.getAttribute(attr);
+                const name = currentValue && this.parseName(currentValue, fromIndex, fromPrefix);
+                if (name) {
+                    element.setAttribute(attr, this.formatName(name, toIndex, toPrefix));
+                }
+            });
+            
+            // ID lists, e.g. an input described by its renamed error slot
+            ['aria-describedby', 'aria-labelledby'].forEach(attr => {
+                const currentValue = element.getAttribute(attr);
+                if (!currentValue) return;
+                
+                element.setAttribute(attr, currentValue.split(' ').map(id => {
+                    const name = id && this.parseName(id, fromIndex, fromPrefix);
+                    return name ? this.formatName(name, toIndex, toPrefix) : id;
+                }).join(' '));
+            });
+        }
+        
+        /**
+         * Update field element attributes
+         */
+        updateFieldElement(element, index) {
+            const attributesToUpdate = ['name', 'id', 'for', 'data-name'];
+            
+            attributesToUpdate.forEach(attr => {
+                const currentValue = element.getAttribute(attr);
+                if (currentValue) {
+                    const newValue = this.formatName(currentValue, index);
+                    element.setAttribute(attr, newValue);
+                }
+            });
+            
             // Handle labels
             if (element.tagName.toLowerCase() === 'label') {
                 const associatedInput = element.querySelector('input, textarea, select') || 
                                       element.parentElement.querySelector('input, textarea, select');
-                if (associatedInput) {
-                    element.setAttribute('for', associatedInput.getAttribute('id'));
+                const inputId = associatedInput && associatedInput.getAttribute('id');
+                if (inputId) {
+                    // The input may come before or after the label, i.e. be renamed already or not yet
+                    element.setAttribute('for', this.parseName(inputId, index) === null ? this.formatName(inputId, index) : inputId);
                 }
             }
         }
         
         /**
-         * Get current field count (only for this instance's group)
+         * Create child instances for every existing row
+         */
+        initChildren() {
+            if (!this.config.children.length) return;
+            
+            this.getFieldGroups().forEach(field => this.createChildInstances(field));
+        }
+        
+        /**
+         * Create the nested repeaters declared in config.children inside a row
+         */
+        createChildInstances(fieldGroup) {
+            if (!this.config.children.length || this.children.has(fieldGroup)) return;
+            
+            const index = fieldGroup.getAttribute('data-field-group');
+            const instances = [];
+            
+            this.config.children.forEach(childConfig => {
+                if (!childConfig.groupName || childConfig.groupName === 'default') {
+                    this.logError('Nested field groups require a unique groupName', childConfig);
+                    return;
+                }
+                
+                const child = new DynamicFields({
+                    animationSpeed: this.config.animationSpeed,
+                    enableErrorLogging: this.config.enableErrorLogging,
+                    enableDebugLogging: this.config.enableDebugLogging,
+                    naming: this.config.naming,
+                    indexBase: this.config.indexBase,
+                    domEvents: this.config.domEvents,
+                    ...childConfig,
+                    // Hierarchical names, e.g. work-2-project-3-title or work[2][project][3][title]
+                    fieldPrefix: this.formatName(childConfig.fieldPrefix || childConfig.groupName, index),
+                    container: fieldGroup,
+                    formId: null,
+                    autoInit: false
+                });
+                child.parent = this;
+                child.parentField = fieldGroup;
+                child.prefixSegment = childConfig.fieldPrefix || childConfig.groupName;
+                child.init();
+                instances.push(child);
+                
+                this.emit('childCreated', {
+                    child: child,
+                    fieldGroup: fieldGroup,
+                    fieldIndex: index,
+                    instanceId: this.instanceId
+                });
+            });
+            
+            this.children.set(fieldGroup, instances);
+        }
+        
+        /**
+         * Destroy the nested repeaters of a row
+         */
+        destroyChildren(fieldGroup) {
+            const instances = this.children.get(fieldGroup);
+            if (!instances) return;
+            
+            instances.forEach(child => child.destroy());
+            this.children.delete(fieldGroup);
+        }
+        
+        /**
+         * Get the nested repeaters of a row (or of every row when called without arguments)
+         */
+        getChildren(fieldGroup) {
+            if (fieldGroup) {
+                return this.children.get(fieldGroup) || [];
+            }
+            return Array.from(this.children.values()).reduce((all, instances) => all.concat(instances), []);
+        }
+        
+        /**
+         * Serialize rows into an array of plain objects (one per row, in DOM order)
+         */
+        getData() {
+            return this.getFieldGroups().map(field => this.getFieldData(field));
+        }
+        
+        /**
+         * Rows as saved in a draft: getData() without sensitive fields (see isSensitiveField)
+         */
+        getDraftData() {
+            return this.getFieldGroups().map(field => this.getFieldData(field, true));
+        }
+        
+        /**
+         * Serialize a single row, keyed by un-prefixed field names
+         */
+        getFieldData(fieldGroup, forDraft = false) {
+            const index = fieldGroup.getAttribute('data-field-group');
+            const data = {};
+            const rowType = this.getRowType(fieldGroup);
+            if (rowType) {
+                data[this.config.rowTypeKey] = rowType;
+            }
+            const inputs = this.getRowFormElements(fieldGroup)
+                .filter(element => element.matches('input, textarea, select, output') && element.name)
+                .filter(element => !['submit', 'button', 'reset', 'image', 'file'].includes(element.type))
+                .filter(element => !forDraft || !isSensitiveField(element));
+            
+            // Checkboxes sharing a name are collected as an array of checked values
+            const checkboxCounts = {};
+            inputs.forEach(input => {
+                if (input.type === 'checkbox') {
+                    checkboxCounts[input.name] = (checkboxCounts[input.name] || 0) + 1;
+                }
+            });
+            
+            inputs.forEach(input => {
+                const key = this.stripFieldPrefix(input.name, index);
+                
+                if (input.type === 'checkbox') {
+                    if (checkboxCounts[input.name] > 1) {
+                        data[key] = data[key] || [];
+                        if (input.checked) data[key].push(input.value);
+                    } else {
+                        data[key] = input.checked;
+                    }
+                } else if (input.type === 'radio') {
+                    if (input.checked) {
+                        data[key] = input.value;
+                    } else if (!(key in data)) {
+                        data[key] = null;
+                    }
+                } else if (input.tagName.toLowerCase() === 'select' && input.multiple) {
+                    data[key] = Array.from(input.selectedOptions).map(option => option.value);
+                } else if (input.type === 'number' || input.type === 'range') {
+                    data[key] = input.value.trim() === '' ? null : Number(input.value);
+                } else if (input.tagName.toLowerCase() === 'output') {
+                    // Computed outputs hold numbers, possibly formatted by data-df-decimals
+                    const text = input.value.trim();
+                    data[key] = text === '' ? null : (isFinite(Number(text)) ? Number(text) : text);
+                } else {
+                    data[key] = input.value;
+                }
+            });
+            
+            // Nested repeaters are serialized under their group name
+            this.getChildren(fieldGroup).forEach(child => {
+                data[child.config.groupName] = forDraft ? child.getDraftData() : child.getData();
+            });
+            
+            return data;
+        }
+        
+        /**
+         * Hydrate rows from an array of plain objects (e.g. saved entries on an edit form)
+         */
+        setData(rows = []) {
+            const typeOf = row => (row && this.elements.rowTypes[row[this.config.rowTypeKey]] ? row[this.config.rowTypeKey] : this.defaultRowType);
+            
+            // Rows beyond their row type's maximum are dropped, and row types below their minimum get empty rows
+            const typeCounts = {};
+            rows = rows.filter(row => {
+                const rowType = typeOf(row);
+                const typeLimit = rowType && this.elements.rowTypes[rowType];
+                if (typeLimit && (typeCounts[rowType] || 0) >= typeLimit.maxFields) {
+                    this.logError(`setData() received more "${rowType}" rows than its maxFields of ${typeLimit.maxFields}; extra rows were ignored`);
+                    this.emit('maxFieldsReached', {
+                        currentCount: typeCounts[rowType],
+                        maxFields: typeLimit.maxFields,
+                        rowType: rowType
+                    });
+                    return false;
+                }
+                typeCounts[rowType] = (typeCounts[rowType] || 0) + 1;
+                return true;
+            });
+            Object.keys(this.elements.rowTypes).forEach(rowType => {
+                for (let i = typeCounts[rowType] || 0; i < this.elements.rowTypes[rowType].minFields; i++) {
+                    rows.push({ [this.config.rowTypeKey]: rowType });
+                }
+            });
+            
+            // A shared limit leaves this group whatever the other members don't use
+            const sharedLimit = this.getSharedLimit();
+            const otherFields = sharedLimit ? sharedLimit.totalFields - this.getCurrentFieldCount() : 0;
+            const maxFields = sharedLimit ? Math.max(0, Math.min(this.config.maxFields, sharedLimit.maxFields - otherFields)) : this.config.maxFields;
+            const minFields = sharedLimit ? Math.max(this.config.minFields, sharedLimit.minFields - otherFields) : this.config.minFields;
+            const targetCount = Math.min(maxFields, Math.max(minFields, rows.length));
+            
+            this.logDebug('Loading data', {
+                rows: rows.length,
+                targetCount: targetCount
+            });
+            
+            if (rows.length > targetCount) {
+                this.logError(`setData() received ${rows.length} rows but only ${maxFields} fit (maxFields or shared limit); extra rows were ignored`);
+                this.emit('maxFieldsReached', {
+                    currentCount: rows.length,
+                    maxFields: maxFields,
+                    ...(sharedLimit && maxFields < this.config.maxFields ? { limitGroup: sharedLimit.name } : {})
+                });
+            }
+            
+            const fields = this.getFieldGroups();
+            
+            // Create or remove groups so the count matches, without emitting per-row events
+            while (fields.length < targetCount) {
+                this.fieldCounter++;
+                const newField = this.createNewField(this.fieldCounter, typeOf(rows[fields.length]));
+                this.insertField(newField, false);
+                this.createChildInstances(newField);
+                fields.push(newField);
+            }
+            while (fields.length > targetCount) {
+                const field = fields.pop();
+                this.destroyChildren(field);
+                this.managedFields.delete(field);
+                field.parentNode.removeChild(field);
+            }
+            
+            // Rows of the wrong type are swapped for a row built from the right blueprint
+            if (Object.keys(this.elements.rowTypes).length) {
+                fields.forEach((field, i) => {
+                    const rowType = typeOf(rows[i]);
+                    if (this.getRowType(field) === rowType) return;
+                    
+                    this.fieldCounter++;
+                    const newField = this.createNewField(this.fieldCounter, rowType);
+                    field.parentNode.insertBefore(newField, field);
+                    this.createChildInstances(newField);
+                    this.destroyChildren(field);
+                    this.managedFields.delete(field);
+                    field.parentNode.removeChild(field);
+                    fields[i] = newField;
+                });
+            }
+            
+            fields.forEach((field, i) => {
+                this.clearFieldValues(field);
+                this.setFieldData(field, rows[i] || {});
+            });
+            
+            this.updateButtonStates();
+            this.emit('dataLoaded', {
+                rows: Math.min(rows.length, targetCount),
+                totalFields: this.getCurrentFieldCount(),
+                instanceId: this.instanceId
+            });
+            
+            return this;
+        }
+        
+        /**
+         * Empty the group back to its minimum number of rows
+         * Returns true when the group was reset, or false when a beforeReset handler cancelled it
+         * (a Promise of it when the handler returned a Promise).
+         */
+        reset() {
+            return this.whenAllowed(this.emitCancelable('beforeReset', {
+                totalFields: this.getCurrentFieldCount(),
+                instanceId: this.instanceId
+            }), () => {
+                this.logDebug('Resetting fields', { totalFields: this.getCurrentFieldCount() });
+                this.undoStack = [];
+                this.redoStack = [];
+                this.hideUndoButton();
+                this.setData([]);
+                return true;
+            });
+        }
+        
+        /**
+         * Fill a single row's inputs by their un-prefixed names
+         */
+        setFieldData(fieldGroup, data) {
+            const index = fieldGroup.getAttribute('data-field-group');
+            const inputs = this.getRowFormElements(fieldGroup)
+                .filter(element => element.matches('input, textarea, select') && element.name);
+            
+            inputs.forEach(input => {
+                const key = this.stripFieldPrefix(input.name, index);
+                if (!(key in data)) return;
+                
+                const value = data[key];
+                if (input.type === 'checkbox') {
+                    input.checked = Array.isArray(value)
+                        ? value.map(String).includes(input.value)
+                        : Boolean(value);
+                } else if (input.type === 'radio') {
+                    input.checked = value !== null && value !== undefined && String(value) === input.value;
+                } else if (input.tagName.toLowerCase() === 'select' && input.multiple) {
+                    const selected = (Array.isArray(value) ? value : [value]).map(String);
+                    Array.from(input.options).forEach(option => {
+                        option.selected = selected.includes(option.value);
+                    });
+                } else {
+                    input.value = value === null || value === undefined ? '' : String(value);
+                }
+            });
+            
+            // Nested repeaters are hydrated from their group name (or reset when absent)
+            this.getChildren(fieldGroup).forEach(child => {
+                const childRows = data[child.config.groupName];
+                child.setData(Array.isArray(childRows) ? childRows : []);
+            });
+            
+            this.refreshFieldGroup(fieldGroup);
+        }
+        
+        /**
+         * Recompute a row's formulas, then its conditional fields (which may depend on computed values)
+         */
+        refreshFieldGroup(fieldGroup) {
+            this.computeFields(fieldGroup);
+            this.applyConditions(fieldGroup);
+        }
+        
+        /**
+         * Fill a row's [data-df-compute] elements from formulas over the row's un-prefixed values
+         * The result stays blank until every field used by the formula holds a number.
+         */
+        computeFields(fieldGroup) {
+            const computedElements = this.getRowElements(fieldGroup, '[data-df-compute]');
+            if (!computedElements.length) return;
+            
+            const index = fieldGroup.getAttribute('data-field-group');
+            const data = this.getFieldData(fieldGroup);
+            
+            computedElements.forEach(element => {
+                let formula;
+                try {
+                    formula = compileFormula(element.getAttribute('data-df-compute'));
+                } catch (error) {
+                    this.logError(error.message);
+                    return;
+                }
+                
+                const values = {};
+                const complete = formula.fields.every(name => {
+                    const raw = data[name];
+                    values[name] = typeof raw === 'boolean' ? Number(raw) : (isEmptyValue(raw) ? NaN : Number(raw));
+                    return isFinite(values[name]);
+                });
+                const text = writeOutput(element, complete ? formula.evaluate(values) : null);
+                
+                // Later formulas in the row can build on this result through the element's name
+                if (element.name) {
+                    data[this.stripFieldPrefix(element.name, index)] = text === '' ? null : Number(text);
+                }
+            });
+        }
+        
+        /**
+         * Show or hide a row's [data-df-show-when] elements from the row's own values
+         * Inputs inside hidden elements are disabled (config.disableHiddenFields), which keeps them
+         * out of the submitted form data and out of validation.
+         */
+        applyConditions(fieldGroup) {
+            const conditionalElements = this.getRowElements(fieldGroup, '[data-df-show-when]');
+            if (!conditionalElements.length) return;
+            
+            const data = this.getFieldData(fieldGroup);
+            const hiddenElements = conditionalElements.filter(element => {
+                const visible = this.isConditionMet(element.getAttribute('data-df-show-when'), data);
+                element.style.display = visible ? '' : 'none';
+                return !visible;
+            });
+            
+            if (!this.config.disableHiddenFields) return;
+            
+            // Only re-enable inputs this method disabled (marked with data-df-disabled)
+            this.getRowFormElements(fieldGroup)
+                .filter(element => element.matches('input, textarea, select'))
+                .forEach(input => {
+                    const hidden = hiddenElements.some(element => element.contains(input));
+                    if (hidden && !input.disabled) {
+                        input.disabled = true;
+                        input.setAttribute('data-df-disabled', '');
+                    } else if (!hidden && input.hasAttribute('data-df-disabled')) {
+                        input.disabled = false;
+                        input.removeAttribute('data-df-disabled');
+                    }
+                });
+        }
+        
+        /**
+         * Evaluate a data-df-show-when expression against a row's un-prefixed values:
+         * "field" (has a value), "field=value", "field!=value"; "a|b" matches either value
+         */
+        isConditionMet(expression, data) {
+            const match = expression.match(/^\s*([^!=]+?)\s*(?:(!?=)\s*(.*?))?\s*$/);
+            if (!match) {
+                this.logError(`Invalid data-df-show-when expression "${expression}"`);
+                return true;
+            }
+            
+            const [, key, operator, expected] = match;
+            const value = data[key];
+            if (!operator) {
+                return !isEmptyValue(value);
+            }
+            
+            const actual = (Array.isArray(value) ? value : [value]).map(item => (item === null || item === undefined ? '' : String(item)));
+            const matches = expected.split('|').some(option => actual.includes(option));
+            return operator === '=' ? matches : !matches;
+        }
+        
+        /**
+         * Remove the prefix and index added by updateFieldElement()
+         */
+        stripFieldPrefix(value, index) {
+            const name = this.parseName(value, index);
+            return name === null ? value : name;
+        }
+        
+        /**
+         * Build an attribute value with the configured naming strategy
+         * `index` is the row's one-based index; config.indexBase decides what is written
+         */
+        formatName(name, index, prefix = this.config.fieldPrefix) {
+            const format = typeof this.config.naming === 'function'
+                ? this.config.naming
+                : NAMING_STRATEGIES[this.config.naming] || NAMING_STRATEGIES.dash;
+            return format(prefix, Number(index) - 1 + this.config.indexBase, name);
+        }
+        
+        /**
+         * Recover the un-prefixed name from a value built by formatName(), or null if it doesn't match
+         */
+        parseName(value, index, prefix = this.config.fieldPrefix) {
+            const [before, after] = this.formatName(NAME_PLACEHOLDER, index, prefix).split(NAME_PLACEHOLDER);
+            if (after === undefined || value.length <= before.length + after.length) return null;
+            
+            return value.indexOf(before) === 0 && value.slice(value.length - after.length) === after
+                ? value.slice(before.length, value.length - after.length)
+                : null;
+        }
+        
+        /**
+         * Get the Storage used by the persist option, or null when unavailable (e.g. blocked cookies)
+         */
+        getDraftStorage() {
+            try {
+                return this.config.persist === 'session' ? global.sessionStorage : global.localStorage;
+            } catch (error) {
+                this.logError('Draft storage is not available:', error);
+                return null;
+            }
+        }
+        
+        /**
+         * Storage key of this instance's draft
+         */
+        getDraftKey() {
+            return this.config.persistKey || `dynamicfields:${this.getFormId() || 'default'}:${this.config.groupName}`;
+        }
+        
+        /**
+         * Debounce saving the draft; changes in nested repeaters are saved by the top-level instance
+         */
+        scheduleDraftSave() {
+            if (this.parent) {
+                this.parent.scheduleDraftSave();
+                return;
+            }
+            if (!this.config.persist || !this.isInitialized) return;
+            
+            clearTimeout(this.draftTimer);
+            this.draftTimer = setTimeout(() => {
+                if (this.skipNextDraftSave) {
+                    this.draftTimer = null;
+                    this.skipNextDraftSave = false;
+                    return;
+                }
+                this.saveDraft();
+            }, this.config.persistDebounce);
+        }
+        
+        /**
+         * Save the rows and their values to storage right away
+         */
+        saveDraft() {
+            clearTimeout(this.draftTimer);
+            this.draftTimer = null;
+            this.skipNextDraftSave = false;
+            
+            const storage = this.getDraftStorage();
+            if (!storage) return false;
+            
+            try {
+                storage.setItem(this.getDraftKey(), JSON.stringify({
+                    rows: this.getDraftData(),
+                    savedAt: Date.now()
+                }));
+                this.logDebug('Draft saved', { key: this.getDraftKey() });
+                return true;
+            } catch (error) {
+                this.logError('Failed to save draft:', error);
+                return false;
+            }
+        }
+        
+        /**
+         * Rebuild the rows from a saved draft; emits draftRestored
+         */
+        restoreDraft() {
+            const storage = this.getDraftStorage();
+            if (!storage) return false;
+            
+            let draft = null;
+            try {
+                draft = JSON.parse(storage.getItem(this.getDraftKey()));
+            } catch (error) {
+                this.logError('Ignoring unreadable draft:', error);
+            }
+            if (!draft || !Array.isArray(draft.rows)) return false;
+            
+            this.setData(draft.rows);
+            this.logDebug('Draft restored', { key: this.getDraftKey(), rows: draft.rows.length });
+            this.emit('draftRestored', {
+                rows: draft.rows,
+                savedAt: draft.savedAt,
+                totalFields: this.getCurrentFieldCount(),
+                instanceId: this.instanceId
+            });
+            return true;
+        }
+        
+        /**
+         * Remove the saved draft (done automatically when the form is submitted). The pending save is
+         * cancelled and the next debounced one skipped, so a following setData([]) or reset() leaves no draft.
+         */
+        clearDraft() {
+            clearTimeout(this.draftTimer);
+            this.draftTimer = null;
+            this.skipNextDraftSave = !!this.config.persist;
+            
+            const storage = this.getDraftStorage();
+            if (storage) {
+                storage.removeItem(this.getDraftKey());
+                this.logDebug('Draft cleared', { key: this.getDraftKey() });
+            }
+            return this;
+        }
+        
+        /**
+         * Get current field count (only for this instance's group)
+         */
+        getCurrentFieldCount() {
+            return this.getOwnFieldGroups().length;
+        }
+        
+        /**
+         * Update button states with improved logic
+         * Members of a shared limit group are refreshed too, unless syncLimitGroup is false
+         */
+        updateButtonStates(syncLimitGroup = true) {
+            const currentCount = this.getCurrentFieldCount();
+            const sharedLimit = this.getSharedLimit();
+            const addButtonDisabled = currentCount >= this.config.maxFields ||
+                (!!sharedLimit && sharedLimit.totalFields >= sharedLimit.maxFields);
+            const removeButtonDisabled = currentCount <= this.config.minFields ||
+                (!!sharedLimit && sharedLimit.totalFields <= sharedLimit.minFields);
+            
+            this.logDebug('Updating button states', {
+                currentCount: currentCount,
+                maxFields: this.config.maxFields,
+                minFields: this.config.minFields,
+                sharedLimit: sharedLimit,
+                addButtonDisabled: addButtonDisabled,
+                removeButtonDisabled: removeButtonDisabled
+            });
+            
+            // Row types have their own limits on top of the group-wide ones
+            const fields = this.getFieldGroups();
+            const typeLimit = rowType => rowType && this.elements.rowTypes[rowType];
+            const isTypeFull = rowType => !!typeLimit(rowType) && this.getRowTypeCount(rowType) >= typeLimit(rowType).maxFields;
+            const isTypeAtMin = rowType => !!typeLimit(rowType) && this.getRowTypeCount(rowType) <= typeLimit(rowType).minFields;
+            
+            // Add buttons - typed ones also follow their row type's maximum
+            this.elements.addButtons.forEach(button => {
+                this.updateButtonState(button, addButtonDisabled || isTypeFull(button.getAttribute('data-row-type')));
+            });
+            
+            // Remove button - improved visibility logic (it removes the last row, so that row's type counts)
+            if (this.elements.removeButton) {
+                const lastField = fields[fields.length - 1];
+                const removeLastDisabled = removeButtonDisabled || (!!lastField && isTypeAtMin(this.getRowType(lastField)));
+                this.updateButtonState(this.elements.removeButton, removeLastDisabled);
+                
+                if (this.config.hideRemoveButtonWhenMinReached) {
+                    if (removeLastDisabled) {
+                        this.elements.removeButton.style.display = 'none';
+                    } else {
+                        this.elements.removeButton.style.display = '';
+                    }
+                }
+            }
+            
+            // Row buttons - move buttons can't go above the first row or below the last one
+            fields.forEach((field, i) => {
+                // Per-row add/duplicate buttons follow the add button (and the row type's maximum)
+                this.getRowElements(field, '[data-add-after-this-field]').forEach(button => {
+                    this.updateButtonState(button, addButtonDisabled || isTypeFull(button.getAttribute('data-row-type') || this.getRowType(field)));
+                });
+                this.getRowElements(field, '[data-duplicate-this-field]').forEach(button => {
+                    this.updateButtonState(button, addButtonDisabled || isTypeFull(this.getRowType(field)));
+                });
+                this.getRowElements(field, '[data-move-up]').forEach(button => this.updateButtonState(button, i === 0));
+                this.getRowElements(field, '[data-move-down]').forEach(button => this.updateButtonState(button, i === fields.length - 1));
+            });
+            
+            this.renderPlaceholders();
+            
+            this.emit('buttonStatesUpdated', {
+                currentCount,
+                addButtonDisabled: addButtonDisabled,
+                removeButtonDisabled: removeButtonDisabled,
+                instanceId: this.instanceId
+            });
+            
+            if (sharedLimit && syncLimitGroup) {
+                manager.getLimitMembers(sharedLimit.name)
+                    .filter(member => member !== this)
+                    .forEach(member => member.updateButtonStates(false));
+            }
+        }
+        
+        /**
+         * Group-level placeholder values: {{total}}, {{remaining}}, {{min}} and {{max}}
+         */
+        getPlaceholderValues(rowType = null) {
+            const total = this.getCurrentFieldCount();
+            const sharedLimit = this.getSharedLimit();
+            const typeLimit = rowType && this.elements.rowTypes[rowType];
+            const remaining = Math.max(0, Math.min(
+                this.config.maxFields - total,
+                sharedLimit ? sharedLimit.maxFields - sharedLimit.totalFields : Infinity,
+                typeLimit ? typeLimit.maxFields - this.getRowTypeCount(rowType) : Infinity
+            ));
+            const display = value => (value === Infinity ? '∞' : value);
+            
+            return {
+                total,
+                remaining: display(remaining),
+                min: this.config.minFields,
+                max: display(this.config.maxFields)
+            };
+        }
+        
+        /**
+         * Re-render {{placeholders}} in rows, add/remove buttons and [data-df-counter] elements
+         */
+        renderPlaceholders() {
+            const groupValues = this.getPlaceholderValues();
+            
+            // Rows also know their own {{index}} (as written in names) and {{position}} (1-based)
+            this.getFieldGroups().forEach((field, position) => {
+                this.renderPlaceholderNodes(field, {
+                    ...groupValues,
+                    index: Number(field.getAttribute('data-field-group')) - 1 + this.config.indexBase,
+                    position: position + 1
+                });
+            });
+            
+            // Typed add buttons count down their own row type
+            this.elements.addButtons.forEach(button => {
+                this.renderPlaceholderNodes(button, this.getPlaceholderValues(button.getAttribute('data-row-type')));
+            });
+            if (this.elements.removeButton) {
+                this.renderPlaceholderNodes(this.elements.removeButton, groupValues);
+            }
+            
+            // A counter without placeholders simply shows the row count
+            this.getGroupElements('[data-df-counter]').forEach(counter => {
+                if (!this.renderPlaceholderNodes(counter, groupValues)) {
+                    counter.textContent = String(groupValues.total);
+                }
+            });
+        }
+        
+        /**
+         * Render placeholders in the text and attributes under root, keeping the originals for re-rendering.
+         * Nested rows and nested repeaters' buttons/counters are left to their own instance.
+         * Returns the number of nodes holding placeholders.
+         */
+        renderPlaceholderNodes(root, values) {
+            const render = template => template.replace(DISPLAY_PLACEHOLDER, (match, key) =>
+                (Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match));
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+                acceptNode: node => (node.nodeType === Node.ELEMENT_NODE &&
+                    node.matches('[data-field-group], [data-df-source], [data-add-btn], [data-remove-btn], [data-df-counter]')
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_ACCEPT)
+            });
+            let rendered = 0;
+            
+            for (let node = root; node; node = walker.nextNode()) {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    const template = this.placeholderTemplates.get(node) ||
+                        (node.nodeValue.indexOf('{{') !== -1 ? node.nodeValue : null);
+                    if (template === null) continue;
+                    
+                    this.placeholderTemplates.set(node, template);
+                    node.nodeValue = render(template);
+                    rendered++;
+                    continue;
+                }
+                
+                const templates = this.placeholderTemplates.get(node) || {};
+                Array.from(node.attributes).forEach(({ name, value }) => {
+                    if (!(name in templates) && value.indexOf('{{') !== -1 && !PLACEHOLDER_SKIPPED_ATTRIBUTES.includes(name)) {
+                        templates[name] = value;
+                    }
+                });
+                const names = Object.keys(templates);
+                if (!names.length) continue;
+                
+                this.placeholderTemplates.set(node, templates);
+                names.forEach(name => node.setAttribute(name, render(templates[name])));
+                rendered++;
+            }
+            return rendered;
+        }
+        
+        /**
+         * Update individual button state
+         */
+        updateButtonState(button, disabled) {
+            if (!button) return;
+            
+            if (disabled) {
+                button.classList.add('is-disabled');
+                button.disabled = true;
+                button.setAttribute('aria-disabled', 'true');
+            } else {
+                button.classList.remove('is-disabled');
+                button.disabled = false;
+                button.setAttribute('aria-disabled', 'false');
+            }
+        }
+        
+        /**
+         * Validate existing fields
+         */
+        validateExistingFields() {
+            return this.validate().valid;
+        }
+        
+        /**
+         * Validate every row and render inline errors
+         * Returns { valid, pending, rows: [{ fieldGroup, position, fieldIndex, valid, pending, errors: { name: [{ rule, message }] } }] }.
+         * While asynchronous rules are pending, `valid` is false and `promise` resolves to the settled result.
+         */
+        validate(options = {}) {
+            const rows = this.getFieldGroups().map((fieldGroup, position) => this.validateFieldGroup(fieldGroup, position, options));
+            const aggregates = this.validateAggregates();
+            const aggregatesValid = !Object.keys(aggregates).length;
+            
+            const result = {
+                valid: rows.every(row => row.valid) && aggregatesValid,
+                pending: rows.some(row => row.pending),
+                rows: rows,
+                aggregates: aggregates
+            };
+            if (result.pending) {
+                result.promise = Promise.all(rows.map(row => row.promise || row)).then(() => {
+                    result.valid = rows.every(row => row.valid) && aggregatesValid;
+                    result.pending = false;
+                    this.emit('validated', { ...result, instanceId: this.instanceId });
+                    return result;
+                });
+            }
+            this.lastValidation = result;
+            
+            this.logDebug('Validation completed', { valid: result.valid, pending: result.pending });
+            if (!result.pending) {
+                this.emit('validated', { ...result, instanceId: this.instanceId });
+            }
+            return result;
+        }
+        
+        /**
+         * Validate every row, waiting for asynchronous rules to settle
+         */
+        validateAsync(options = {}) {
+            const result = this.validate(options);
+            return result.pending ? result.promise : Promise.resolve(result);
+        }
+        
+        /**
+         * Validate one row (and its nested repeaters), render the outcome and reflect it as classes
+         */
+        validateFieldGroup(fieldGroup, position = this.getFieldPosition(fieldGroup), options = {}) {
+            const render = options.render !== false;
+            const { errors, pending } = this.validateRow(fieldGroup);
+            const children = this.getChildren(fieldGroup).map(child => child.validate(options));
+            const token = {};
+            this.validationTokens.set(fieldGroup, token);
+            
+            const row = {
+                fieldGroup: fieldGroup,
+                position: position,
+                fieldIndex: fieldGroup.getAttribute('data-field-group'),
+                valid: false,
+                pending: pending.length > 0 || children.some(result => result.pending),
+                errors: errors,
+                children: children
+            };
+            
+            const settle = () => {
+                row.valid = !Object.keys(row.errors).length && children.every(result => result.valid);
+                
+                // A newer validation of the same row wins
+                if (this.validationTokens.get(fieldGroup) !== token) return row;
+                
+                if (render) {
+                    this.renderErrors(fieldGroup, row.errors);
+                }
+                this.setValidationState(fieldGroup, row.valid ? 'valid' : 'invalid', row);
+                return row;
+            };
+            
+            if (!row.pending) {
+                return settle();
+            }
+            
+            if (render) {
+                this.renderErrors(fieldGroup, errors);
+            }
+            this.setValidationState(fieldGroup, 'pending', row);
+            
+            row.promise = Promise.all([
+                Promise.all(pending),
+                Promise.all(children.map(result => result.promise || result))
+            ]).then(([asyncErrors]) => {
+                asyncErrors.forEach(({ key, error }) => {
+                    if (error) {
+                        row.errors[key] = (row.errors[key] || []).concat(error);
+                    }
+                });
+                row.pending = false;
+                return settle();
+            });
+            return row;
+        }
+        
+        /**
+         * Get [data-df-aggregate] outputs of this group (those inside rows belong to nested repeaters)
+         */
+        getAggregateOutputs() {
+            return this.getGroupElements('[data-df-aggregate]');
+        }
+        
+        /**
+         * Get elements of this group matching a selector, skipping those that belong to nested repeaters
+         */
+        getGroupElements(selector) {
+            const scope = this.elements.searchScope;
+            return Array.from(scope.querySelectorAll(selector)).filter(output => {
+                const groupName = output.getAttribute('data-group-name');
+                if (groupName && groupName !== this.config.groupName) return false;
+                
+                const enclosingGroup = output.closest('[data-field-group], [data-df-source]');
+                return !enclosingGroup || enclosingGroup === scope || !scope.contains(enclosingGroup);
+            });
+        }
+        
+        /**
+         * Split an aggregate expression such as "sum:amount" (a bare "count" counts rows)
+         */
+        parseAggregate(expression) {
+            const separator = expression.indexOf(':');
+            return separator === -1
+                ? { operation: expression.trim(), field: null }
+                : { operation: expression.slice(0, separator).trim(), field: expression.slice(separator + 1).trim() };
+        }
+        
+        /**
+         * Compute sum, count, avg, min or max of a field across all rows (null when there is nothing to aggregate)
+         */
+        getAggregate(field, operation = 'sum') {
+            const aggregate = AGGREGATES[operation];
+            if (!aggregate) {
+                this.logError(`Unknown aggregate "${operation}"`);
+                return null;
+            }
+            
+            const fields = this.getFieldGroups();
+            if (!field) {
+                return operation === 'count' ? fields.length : null;
+            }
+            
+            const values = fields
+                .map(fieldGroup => this.getFieldData(fieldGroup)[field])
+                .filter(value => !isEmptyValue(value) && !Array.isArray(value))
+                .filter(value => operation === 'count' || isFinite(Number(value)));
+            const result = aggregate(values);
+            
+            // Drop floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+            return typeof result === 'number' ? Math.round(result * 1e10) / 1e10 : result;
+        }
+        
+        /**
+         * Write the current aggregates into their outputs (data-df-decimals fixes the number of decimals)
+         */
+        updateAggregates() {
+            const outputs = this.getAggregateOutputs();
+            if (!outputs.length) return;
+            
+            outputs.forEach(output => {
+                const { operation, field } = this.parseAggregate(output.getAttribute('data-df-aggregate'));
+                writeOutput(output, this.getAggregate(field, operation));
+            });
+            
+            if (this.config.validateOnInput) {
+                this.validateAggregates();
+            }
+        }
+        
+        /**
+         * Check aggregate rules (config.aggregateRules and data-df-rules on outputs) and render their errors
+         * Returns { expression: [{ rule, message }] } for the failing aggregates
+         */
+        validateAggregates() {
+            const outputs = this.getAggregateOutputs();
+            const rulesByExpression = {};
+            
+            Object.keys(this.config.aggregateRules).forEach(expression => {
+                rulesByExpression[expression] = this.parseRules(this.config.aggregateRules[expression]);
+            });
+            outputs.forEach(output => {
+                const expression = output.getAttribute('data-df-aggregate');
+                rulesByExpression[expression] = (rulesByExpression[expression] || []).concat(this.parseRules(output.getAttribute('data-df-rules')));
+            });
+            
+            const errors = {};
+            Object.keys(rulesByExpression).forEach(expression => {
+                const { operation, field } = this.parseAggregate(expression);
+                const value = this.getAggregate(field, operation);
+                
+                rulesByExpression[expression].forEach(rule => {
+                    const validator = rule.validator || VALIDATORS[rule.name] || this.config.validators[rule.name];
+                    if (!validator) {
+                        this.logError(`Unknown validation rule "${rule.name}" for aggregate "${expression}"`);
+                        return;
+                    }
+                    
+                    const error = this.toValidationError(rule, this.callValidator(validator, rule, value, { name: expression, instance: this }));
+                    if (error) {
+                        errors[expression] = (errors[expression] || []).concat(error);
+                    }
+                });
+            });
+            
+            // Outputs get is-invalid; a [data-df-error-for="sum:amount"] slot shows the first message
+            outputs.forEach(output => {
+                output.classList.toggle('is-invalid', !!errors[output.getAttribute('data-df-aggregate')]);
+            });
+            Array.from(this.elements.searchScope.querySelectorAll('[data-df-error-for]'))
+                .filter(slot => slot.getAttribute('data-df-error-for') in rulesByExpression)
+                .forEach(slot => {
+                    const aggregateErrors = errors[slot.getAttribute('data-df-error-for')];
+                    slot.textContent = aggregateErrors ? aggregateErrors[0].message : '';
+                    slot.hidden = !aggregateErrors;
+                });
+            
+            return errors;
+        }
+        
+        /**
+         * Debounce validation of a row while the user types
+         */
+        scheduleValidation(fieldGroup) {
+            clearTimeout(this.validationTimers.get(fieldGroup));
+            this.validationTimers.set(fieldGroup, setTimeout(() => {
+                this.validationTimers.delete(fieldGroup);
+                if (fieldGroup.parentNode) {
+                    this.validateFieldGroup(fieldGroup);
+                }
+            }, this.config.validateDebounce));
+        }
+        
+        /**
+         * Reflect a row's validation state as is-validating / is-valid / is-invalid classes
+         */
+        setValidationState(fieldGroup, state, row) {
+            fieldGroup.classList.toggle('is-validating', state === 'pending');
+            fieldGroup.classList.toggle('is-valid', state === 'valid');
+            fieldGroup.classList.toggle('is-invalid', state === 'invalid');
+            
+            this.emit('fieldValidated', {
+                fieldGroup: fieldGroup,
+                position: row.position,
+                state: state,
+                errors: row.errors,
+                instanceId: this.instanceId
+            });
+        }
+        
+        /**
+         * Validate a single row
+         * Returns synchronous errors keyed by un-prefixed field name, and the pending asynchronous checks
+         */
+        validateRow(fieldGroup) {
+            const index = fieldGroup.getAttribute('data-field-group');
+            const data = this.getFieldData(fieldGroup);
+            const errors = {};
+            const pending = [];
+            
+            this.getFieldInputs(fieldGroup).forEach((inputs, key) => {
+                const value = data[key];
+                
+                // Disabled inputs (e.g. hidden by data-df-show-when) aren't submitted, so they aren't validated
+                if (inputs.every(input => input.disabled)) return;
+                
+                this.getFieldRules(key, inputs).forEach(rule => {
+                    if (rule.name !== 'required' && isEmptyValue(value)) return;
+                    
+                    const validator = rule.validator || VALIDATORS[rule.name] || this.config.validators[rule.name];
+                    if (!validator) {
+                        this.logError(`Unknown validation rule "${rule.name}" for field "${key}"`);
+                        return;
+                    }
+                    
+                    const outcome = this.callValidator(validator, rule, value, {
+                        name: key,
+                        inputs: inputs,
+                        fieldGroup: fieldGroup,
+                        fieldIndex: index,
+                        row: data,
+                        instance: this
+                    });
+                    
+                    if (outcome && typeof outcome.then === 'function') {
+                        pending.push(Promise.resolve(outcome)
+                            .catch(error => {
+                                this.logError(`Async rule "${rule.name}" failed for field "${key}":`, error);
+                                return false;
+                            })
+                            .then(asyncOutcome => ({ key: key, error: this.toValidationError(rule, asyncOutcome) })));
+                        return;
+                    }
+                    
+                    const error = this.toValidationError(rule, outcome);
+                    if (error) {
+                        errors[key] = (errors[key] || []).concat(error);
+                    }
+                });
+            });
+            
+            return { errors: errors, pending: pending };
+        }
+        
+        /**
+         * Run a rule's validator; a validator that throws is reported and counts as a failed rule
+         */
+        callValidator(validator, rule, value, context) {
+            try {
+                return validator.call(this, value, rule.arg, context);
+            } catch (error) {
+                this.logError(`Rule "${rule.name}" failed for "${context.name}":`, error);
+                return false;
+            }
+        }
+        
+        /**
+         * Turn a rule outcome into an error entry (true/undefined means valid)
+         */
+        toValidationError(rule, outcome) {
+            if (outcome === true || outcome === undefined) {
+                return null;
+            }
+            return {
+                rule: rule.name,
+                message: typeof outcome === 'string' ? outcome : this.getErrorMessage(rule)
+            };
+        }
+        
+        /**
+         * Group a row's inputs by un-prefixed name (radios and checkboxes can share one)
          */
-        getCurrentFieldCount() {
-            return this.getOwnFieldGroups().length;
+        getFieldInputs(fieldGroup) {
+            const index = fieldGroup.getAttribute('data-field-group');
+            const fields = new Map();
+            
+            this.getRowFormElements(fieldGroup)
+                .filter(element => element.matches('input, textarea, select, output') && element.name)
+                .forEach(element => {
+                    const key = this.stripFieldPrefix(element.name, index);
+                    if (!fields.has(key)) fields.set(key, []);
+                    fields.get(key).push(element);
+                });
+            return fields;
         }
         
         /**
-         * Update button states with improved logic
+         * Collect the rules of a field from native attributes, data-df-rules and config.rules
          */
-        updateButtonStates() {
-            const currentCount = this.getCurrentFieldCount();
-            const addButtonDisabled = currentCount >= this.config.maxFields;
-            const removeButtonDisabled = currentCount <= this.config.minFields;
+        getFieldRules(key, inputs) {
+            const rules = [];
+            const input = inputs[0];
             
-            this.logDebug('Updating button states', {
-                currentCount: currentCount,
-                maxFields: this.config.maxFields,
-                minFields: this.config.minFields,
-                addButtonDisabled: addButtonDisabled,
-                removeButtonDisabled: removeButtonDisabled
+            if (inputs.some(element => element.required)) rules.push({ name: 'required' });
+            if (input.getAttribute('pattern')) rules.push({ name: 'pattern', arg: input.getAttribute('pattern') });
+            if (input.getAttribute('minlength')) rules.push({ name: 'minLength', arg: input.getAttribute('minlength') });
+            if (input.getAttribute('maxlength')) rules.push({ name: 'maxLength', arg: input.getAttribute('maxlength') });
+            if (input.type === 'number' || input.type === 'range') {
+                if (input.getAttribute('min')) rules.push({ name: 'min', arg: input.getAttribute('min') });
+                if (input.getAttribute('max')) rules.push({ name: 'max', arg: input.getAttribute('max') });
+            }
+            if (input.type === 'email') rules.push({ name: 'email' });
+            if (input.type === 'url') rules.push({ name: 'url' });
+            
+            inputs.forEach(element => {
+                rules.push(...this.parseRules(element.getAttribute('data-df-rules')));
             });
+            rules.push(...this.parseRules(this.config.rules[key]));
             
-            // Add button
-            this.updateButtonState(this.elements.addButton, addButtonDisabled);
+            // Later declarations override earlier ones with the same name
+            const byName = new Map();
+            rules.forEach((rule, i) => byName.set(rule.name === 'custom' ? `custom-${i}` : rule.name, rule));
             
-            // Remove button - improved visibility logic
-            if (this.elements.removeButton) {
-                this.updateButtonState(this.elements.removeButton, removeButtonDisabled);
-                
-                if (this.config.hideRemoveButtonWhenMinReached) {
-                    if (removeButtonDisabled) {
-                        this.elements.removeButton.style.display = 'none';
-                    } else {
-                        this.elements.removeButton.style.display = '';
-                    }
+            // Like browsers, ignore a pattern that isn't a valid regular expression
+            return Array.from(byName.values()).filter(rule => {
+                if (rule.name !== 'pattern' || rule.arg instanceof RegExp) return true;
+                try {
+                    new RegExp(`^(?:${rule.arg})$`);
+                    return true;
+                } catch (error) {
+                    this.logError(`Invalid pattern "${rule.arg}" for field "${key}" was ignored:`, error);
+                    return false;
                 }
-            }
-            
-            this.emit('buttonStatesUpdated', {
-                currentCount,
-                addButtonDisabled: addButtonDisabled,
-                removeButtonDisabled: removeButtonDisabled,
-                instanceId: this.instanceId
             });
         }
         
         /**
-         * Update individual button state
+         * Parse rules declared as "required|minLength:3" or as a config object
          */
-        updateButtonState(button, disabled) {
-            if (!button) return;
+        parseRules(declaration) {
+            if (!declaration) return [];
             
-            if (disabled) {
-                button.classList.add('is-disabled');
-                button.disabled = true;
-                button.setAttribute('aria-disabled', 'true');
-            } else {
-                button.classList.remove('is-disabled');
-                button.disabled = false;
-                button.setAttribute('aria-disabled', 'false');
+            if (typeof declaration === 'string') {
+                const rules = [];
+                const parts = declaration.split('|');
+                for (let i = 0; i < parts.length; i++) {
+                    if (!parts[i]) continue;
+                    const separator = parts[i].indexOf(':');
+                    if (separator === -1) {
+                        rules.push({ name: parts[i].trim() });
+                        continue;
+                    }
+                    const name = parts[i].slice(0, separator).trim();
+                    if (name === 'pattern') {
+                        // A pattern may contain | itself, so it takes the rest of the declaration and must come last
+                        rules.push({ name: name, arg: parts.slice(i).join('|').slice(separator + 1) });
+                        break;
+                    }
+                    rules.push({ name: name, arg: parts[i].slice(separator + 1) });
+                }
+                return rules;
             }
+            
+            return Object.keys(declaration).reduce((rules, name) => {
+                const arg = declaration[name];
+                if (name === 'custom') {
+                    [].concat(arg).forEach(validator => rules.push({ name: 'custom', validator: validator }));
+                } else if (typeof arg === 'function') {
+                    rules.push({ name: name, validator: arg });
+                } else if (arg && typeof arg === 'object' && !(arg instanceof RegExp)) {
+                    // { value, message } form
+                    rules.push({ name: name, arg: arg.value, message: arg.message });
+                } else if (arg !== false) {
+                    rules.push({ name: name, arg: arg });
+                }
+                return rules;
+            }, []);
         }
         
         /**
-         * Validate existing fields
+         * Resolve the error message of a failed rule
          */
-        validateExistingFields() {
-            const ownFields = this.getOwnFieldGroups();
-            const requiredInputs = [];
-            
-            ownFields.forEach(field => {
-                const inputs = field.querySelectorAll('input[required], textarea[required], select[required]');
-                requiredInputs.push(...inputs);
-            });
+        getErrorMessage(rule) {
+            const template = rule.message || this.config.messages[rule.name] || DEFAULT_MESSAGES[rule.name] || DEFAULT_MESSAGES.custom;
+            return template.replace('{arg}', rule.arg);
+        }
+        
+        /**
+         * Render errors into [data-df-error-for] slots and wire aria attributes
+         */
+        renderErrors(fieldGroup, errors) {
+            const index = fieldGroup.getAttribute('data-field-group');
             
-            for (let input of requiredInputs) {
-                if (!input.value.trim()) {
-                    return false;
+            this.getFieldInputs(fieldGroup).forEach((inputs, key) => {
+                const fieldErrors = errors[key];
+                const slot = this.getRowElements(fieldGroup, '[data-df-error-for]')
+                    .find(element => element.getAttribute('data-df-error-for') === key);
+                
+                if (slot) {
+                    if (!slot.id) {
+                        // Built like a field name so reindexing renames it (e.g. edu-2-school-error, edu[2][school-error])
+                        slot.id = this.formatName(`${key}-error`, index);
+                    }
+                    slot.textContent = fieldErrors ? fieldErrors[0].message : '';
+                    slot.hidden = !fieldErrors;
                 }
-            }
-            return true;
+                
+                inputs.forEach(input => {
+                    const describedBy = (input.getAttribute('aria-describedby') || '')
+                        .split(' ')
+                        .filter(id => id && (!slot || id !== slot.id));
+                    
+                    if (fieldErrors) {
+                        input.setAttribute('aria-invalid', 'true');
+                        if (slot) describedBy.push(slot.id);
+                    } else {
+                        input.removeAttribute('aria-invalid');
+                    }
+                    
+                    if (describedBy.length) {
+                        input.setAttribute('aria-describedby', describedBy.join(' '));
+                    } else {
+                        input.removeAttribute('aria-describedby');
+                    }
+                });
+            });
         }
         
         /**
@@ -753,6 +3160,12 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
          * Event system - Emit event
          */
         emit(eventName, data = {}) {
+            manager.relay(this, eventName, data);
+            if (ROW_CHANGE_EVENTS.includes(eventName)) {
+                this.updateAggregates();
+                this.scheduleDraftSave();
+            }
+            this.dispatchDomEvent(eventName, data);
             if (!this.events[eventName]) return this;
             
             this.events[eventName].forEach(callback => {
@@ -765,6 +3178,82 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
             return this;
         }
         
+        /**
+         * Event system - Emit a cancelable event (beforeAdd, beforeRemove, beforeMove, beforeReset)
+         * A handler cancels by returning false or a Promise resolving to false; one that throws or rejects
+         * cancels too. Returns true when nobody cancelled synchronously and no handler returned a Promise,
+         * otherwise false or a Promise of the outcome - so actions stay synchronous unless a handler needs to wait.
+         */
+        emitCancelable(eventName, data = {}) {
+            const results = [];
+            // DOM listeners cancel with event.preventDefault()
+            if (!this.dispatchDomEvent(eventName, data, true)) {
+                results.push(false);
+            }
+            manager.relay(this, eventName, data, results);
+            (this.events[eventName] || []).forEach(callback => {
+                try {
+                    results.push(callback.call(this, { type: eventName, ...data }));
+                } catch (error) {
+                    this.logError(`Error in event handler for ${eventName}:`, error);
+                    results.push(false);
+                }
+            });
+            
+            const settle = outcomes => {
+                if (!outcomes.includes(false)) return true;
+                
+                this.logDebug(`Action cancelled by a ${eventName} handler`);
+                this.emit('actionCancelled', { event: eventName, ...data });
+                return false;
+            };
+            
+            if (!results.some(result => result && typeof result.then === 'function')) {
+                return settle(results);
+            }
+            // A rejected Promise (e.g. a dismissed confirmation dialog) is reported and cancels
+            return Promise.all(results.map(result => Promise.resolve(result).catch(error => {
+                this.logError(`Error in event handler for ${eventName}:`, error);
+                return false;
+            }))).then(settle);
+        }
+        
+        /**
+         * Run an action once a cancelable event allowed it (see emitCancelable) - synchronously,
+         * unless a handler returned a Promise. Returns the action's result, or false when cancelled.
+         */
+        whenAllowed(allowed, action) {
+            if (typeof allowed === 'boolean') {
+                return allowed ? action() : false;
+            }
+            return allowed.then(proceed => (proceed ? action() : false));
+        }
+        
+        /**
+         * Dispatch an event as a bubbling, composed CustomEvent such as dynamicfields:fieldadded
+         * from its row (when still in the page) or the fields container. The detail carries the
+         * same payload as DynamicFields.manager.on listeners receive.
+         * Returns false when a listener called preventDefault() on a cancelable event.
+         */
+        dispatchDomEvent(eventName, data = {}, cancelable = false) {
+            const row = data.fieldGroup && data.fieldGroup.isConnected ? data.fieldGroup : null;
+            const target = row || this.elements.fieldsContainer;
+            if (!this.config.domEvents || !target) return true;
+            
+            return target.dispatchEvent(new CustomEvent(`dynamicfields:${eventName.toLowerCase()}`, {
+                bubbles: true,
+                cancelable: cancelable,
+                composed: true,
+                detail: {
+                    type: eventName,
+                    instance: this,
+                    formId: this.getFormId(),
+                    groupName: this.config.groupName,
+                    ...data
+                }
+            }));
+        }
+        
         /**
          * Get current configuration
          */
@@ -788,6 +3277,16 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
             return this.getCurrentFieldCount();
         }
         
+        /**
+         * Get the ID of the form this instance belongs to
+         */
+        getFormId() {
+            if (this.config.formId) return this.config.formId;
+            
+            const form = this.elements.fieldsContainer && this.elements.fieldsContainer.closest('form');
+            return form && form.id ? form.id : null;
+        }
+        
         /**
          * Get instance ID
          */
@@ -797,30 +3296,401 @@ console.log('Dynamic Form Fields v3.0 loaded properly.');
         
         /**
          * Destroy instance
+         * Removes every listener, pending timer and the hidden source; with { restore: true } the rows
+         * and buttons are put back as they were before init() so the markup can be mounted again.
          */
-        destroy() {
-            this.logDebug('Destroying instance', { instanceId: this.instanceId });
+        destroy(options = {}) {
+            const { restore = false } = options;
+            this.logDebug('Destroying instance', { instanceId: this.instanceId, restore: restore });
             
-            // Remove event listeners
-            if (this.elements.addButton) {
-                this.elements.addButton.removeAttribute('data-df-bound');
+            // Keep the latest edits of a pending draft save, then remove event listeners and pending timers
+            if (this.draftTimer && !this.skipNextDraftSave) {
+                this.saveDraft();
             }
-            if (this.elements.removeButton) {
-                this.elements.removeButton.removeAttribute('data-df-bound');
+            this.stopObserving();
+            this.unbindEvents();
+            clearTimeout(this.undoTimer);
+            this.undoTimer = null;
+            this.validationTimers.forEach(timer => clearTimeout(timer));
+            this.validationTimers.clear();
+            this.undoStack = [];
+            this.redoStack = [];
+            
+            // Tear down nested repeaters
+            Array.from(this.children.keys()).forEach(fieldGroup => this.destroyChildren(fieldGroup));
+            
+            if (restore && this.originalMarkup) {
+                this.restoreMarkup();
+            } else if (this.elements.sourceField && !this.elements.template && this.elements.sourceField.parentNode) {
+                // Left in the form, the hidden source would be submitted with its un-prefixed names
+                this.elements.sourceField.remove();
             }
+            this.originalMarkup = null;
             
+            // Emitted while handlers (local and global) are still attached
+            this.emit('destroyed', { instanceId: this.instanceId, restored: restore });
+            
+            manager.unregister(this);
             this.events = {};
             this.isInitialized = false;
-            this.emit('destroyed', { instanceId: this.instanceId });
             return this;
         }
     }
     
+    /**
+     * Manager - registry coordinating every instance on the page
+     */
+    class Manager {
+        
+        constructor() {
+            this.instances = new Set();
+            this.events = {};
+            this.limits = {};
+        }
+        
+        /**
+         * Track an initialized instance
+         */
+        register(instance) {
+            this.instances.add(instance);
+            return this;
+        }
+        
+        /**
+         * Stop tracking an instance
+         */
+        unregister(instance) {
+            this.instances.delete(instance);
+            return this;
+        }
+        
+        /**
+         * Resolve a form given as an element, an ID or a selector (null when there is no such form)
+         */
+        resolveForm(form) {
+            if (typeof form !== 'string') return form || null;
+            
+            try {
+                return document.getElementById(form) || document.querySelector(form);
+            } catch (error) {
+                // Not a valid selector either, e.g. an ID such as "123" that isn't on the page
+                return null;
+            }
+        }
+        
+        /**
+         * Get top-level instances, optionally limited to a form (ID or element)
+         * Nested instances are reachable through their parent's getChildren()
+         */
+        getAll(form) {
+            const formElement = this.resolveForm(form);
+            
+            return Array.from(this.instances).filter(instance => {
+                if (instance.parent) return false;
+                if (!form) return true;
+                return instance.getFormId() === form ||
+                    (!!formElement && formElement.contains(instance.elements.fieldsContainer));
+            });
+        }
+        
+        /**
+         * Look up an instance by form and group name
+         */
+        get(formId, groupName = 'default') {
+            return this.getAll(formId).find(instance => instance.config.groupName === groupName) || null;
+        }
+        
+        /**
+         * Get the top-level instances of one form - none without a form, as results keyed by
+         * groupName would let same-named groups of different forms overwrite each other.
+         * Logs an error when nothing matches, e.g. a mistyped form ID.
+         */
+        getFormInstances(form) {
+            const instancesInForm = form ? this.getAll(form) : [];
+            if (!instancesInForm.length) {
+                console.error(`[DynamicFields] No instances found for form ${form ? `"${form.id || form}"` : '(none given)'}`);
+            }
+            return instancesInForm;
+        }
+        
+        /**
+         * Destroy every instance (or those of one form)
+         */
+        destroyAll(form, options) {
+            this.getAll(form).forEach(instance => instance.destroy(options));
+            return this;
+        }
+        
+        /**
+         * Validate every group of a form in one call
+         * Returns { valid, pending, groups: { groupName: result } }; not valid when the form has no instances
+         */
+        validate(form) {
+            const groups = {};
+            this.getFormInstances(form).forEach(instance => {
+                groups[instance.config.groupName] = instance.validate();
+            });
+            
+            const results = Object.keys(groups).map(groupName => groups[groupName]);
+            return {
+                valid: results.length > 0 && results.every(result => result.valid),
+                pending: results.some(result => result.pending),
+                groups: groups
+            };
+        }
+        
+        /**
+         * Validate every group of a form, waiting for asynchronous rules to settle
+         */
+        validateAsync(form) {
+            const instancesInForm = this.getFormInstances(form);
+            return Promise.all(instancesInForm.map(instance => instance.validateAsync())).then(results => {
+                const groups = {};
+                results.forEach((result, i) => {
+                    groups[instancesInForm[i].config.groupName] = result;
+                });
+                return {
+                    valid: results.length > 0 && results.every(result => result.valid),
+                    pending: false,
+                    groups: groups
+                };
+            });
+        }
+        
+        /**
+         * Serialize every group of a form into one object keyed by groupName
+         */
+        getData(form) {
+            const data = {};
+            this.getFormInstances(form).forEach(instance => {
+                data[instance.config.groupName] = instance.getData();
+            });
+            return data;
+        }
+        
+        /**
+         * Define a budget shared by every instance whose limitGroup matches `name`
+         */
+        setLimit(name, { maxFields = Infinity, minFields = 0 } = {}) {
+            this.limits[name] = { maxFields: maxFields, minFields: minFields };
+            this.getLimitMembers(name).forEach(instance => instance.updateButtonStates(false));
+            return this;
+        }
+        
+        /**
+         * Get the initialized instances that joined a shared limit group
+         */
+        getLimitMembers(name) {
+            return Array.from(this.instances).filter(instance => instance.config.limitGroup === name);
+        }
+        
+        /**
+         * Get a shared limit with the combined row count of its members
+         */
+        getLimitStatus(name) {
+            const limit = this.limits[name];
+            if (!limit) return null;
+            
+            return {
+                name: name,
+                maxFields: limit.maxFields,
+                minFields: limit.minFields,
+                totalFields: this.getLimitMembers(name).reduce((total, instance) => total + instance.getCurrentFieldCount(), 0)
+            };
+        }
+        
+        /**
+         * Listen to an event from every instance ('*' receives all events)
+         */
+        on(eventName, callback) {
+            if (!this.events[eventName]) {
+                this.events[eventName] = [];
+            }
+            this.events[eventName].push(callback);
+            return this;
+        }
+        
+        /**
+         * Remove a global event listener
+         */
+        off(eventName, callback) {
+            if (!this.events[eventName]) return this;
+            
+            if (callback) {
+                this.events[eventName] = this.events[eventName].filter(cb => cb !== callback);
+            } else {
+                this.events[eventName] = [];
+            }
+            return this;
+        }
+        
+        /**
+         * Relay an instance event to the global listeners (collecting their return values into results, if given)
+         */
+        relay(instance, eventName, data = {}, results = null) {
+            const callbacks = (this.events[eventName] || []).concat(this.events['*'] || []);
+            if (!callbacks.length) return this;
+            
+            const payload = {
+                type: eventName,
+                instance: instance,
+                formId: instance.getFormId(),
+                groupName: instance.config.groupName,
+                ...data
+            };
+            callbacks.forEach(callback => {
+                try {
+                    const result = callback.call(instance, payload);
+                    if (results) results.push(result);
+                } catch (error) {
+                    instance.logError(`Error in global event handler for ${eventName}:`, error);
+                    if (results) results.push(false);
+                }
+            });
+            return this;
+        }
+    }
+    
+    const manager = new Manager();
+    DynamicFields.Manager = Manager;
+    DynamicFields.manager = manager;
+    
     // Static method to create multiple instances
     DynamicFields.createMultiple = function(configs) {
         return configs.map(config => new DynamicFields(config));
     };
     
+    // Static shortcuts to the page-wide manager
+    DynamicFields.get = (formId, groupName) => manager.get(formId, groupName);
+    DynamicFields.getAll = form => manager.getAll(form);
+    DynamicFields.destroyAll = (form, options) => manager.destroyAll(form, options);
+    DynamicFields.validateForm = form => manager.validate(form);
+    DynamicFields.validateFormAsync = form => manager.validateAsync(form);
+    
+    // Static method to serialize every instance in a form, keyed by groupName
+    DynamicFields.getFormData = form => manager.getData(form);
+
+    // Data attributes read by autoDiscover(), mapped to config options
+    const DISCOVERY_ATTRIBUTES = {
+        'data-max-fields': ['maxFields', 'number'],
+        'data-min-fields': ['minFields', 'number'],
+        'data-field-prefix': ['fieldPrefix', 'string'],
+        'data-validate-on-add': ['validateOnAdd', 'boolean'],
+        'data-animation-speed': ['animationSpeed', 'number'],
+        'data-reindex-on-remove': ['reindexOnRemove', 'boolean'],
+        'data-limit-group': ['limitGroup', 'string'],
+        'data-observe': ['observe', 'boolean'],
+        'data-naming': ['naming', 'string'],
+        'data-index-base': ['indexBase', 'number'],
+        'data-dom-events': ['domEvents', 'boolean']
+    };
+    
+    /**
+     * Build a config from the data attributes of a field group, its add button and its containers
+     * ([data-fields-container] or [data-form-container] within scope); the field group wins over
+     * the add button, which wins over the containers (the nearest container first)
+     */
+    function readDiscoveryConfig(fieldGroup, scope) {
+        const groupName = fieldGroup.getAttribute('data-group-name') || 'default';
+        const addButton = groupName !== 'default'
+            ? scope.querySelector(`[data-add-btn][data-group-name="${groupName}"]`)
+            : scope.querySelector('[data-add-btn]:not([data-group-name])') || scope.querySelector('[data-add-btn]');
+        const config = { groupName: groupName };
+        
+        // Containers outside scope belong to an enclosing group (e.g. the parent of a nested repeater)
+        const containers = [];
+        let container = fieldGroup.parentElement && fieldGroup.parentElement.closest('[data-fields-container], [data-form-container]');
+        while (container && scope.contains(container)) {
+            containers.unshift(container);
+            container = container.parentElement && container.parentElement.closest('[data-fields-container], [data-form-container]');
+        }
+        
+        [...containers, addButton, fieldGroup].forEach(element => {
+            // Limits on typed templates are per row type (see findRowTypes)
+            if (!element || element.hasAttribute('data-row-type')) return;
+            
+            Object.keys(DISCOVERY_ATTRIBUTES).forEach(attr => {
+                if (!element.hasAttribute(attr)) return;
+                
+                const [option, type] = DISCOVERY_ATTRIBUTES[attr];
+                const value = element.getAttribute(attr);
+                if (type === 'number') {
+                    config[option] = Number(value);
+                } else if (type === 'boolean') {
+                    config[option] = value !== 'false';
+                } else {
+                    config[option] = value;
+                }
+            });
+        });
+        
+        if (!config.fieldPrefix && groupName !== 'default') {
+            config.fieldPrefix = groupName;
+        }
+        return config;
+    }
+    
+    // Static method to create instances from [data-field-group] markup alone
+    DynamicFields.autoDiscover = function(root = document, defaults = {}) {
+        const rootElement = typeof root === 'string' ? document.querySelector(root) : root;
+        if (!rootElement) return [];
+        
+        const created = [];
+        const seen = new Map(); // scope -> group names already handled
+        
+        Array.from(rootElement.querySelectorAll('[data-field-group], template[data-field-template]')).forEach(fieldGroup => {
+            // Nested groups are created by their parent through `children` (hidden sources are blueprints)
+            if (fieldGroup.parentElement && fieldGroup.parentElement.closest('[data-field-group], [data-df-source]')) return;
+            
+            // Skip markup already handled by an instance
+            const isManaged = Array.from(manager.instances).some(instance => 
+                instance.elements.template === fieldGroup || instance.elements.fieldsContainer &&
+                instance.elements.fieldsContainer.contains(fieldGroup) &&
+                instance.isOwnFieldGroup(fieldGroup));
+            if (isManaged) return;
+            
+            const form = fieldGroup.closest('form');
+            const scope = form || fieldGroup.closest('[data-form-container]') || fieldGroup.parentElement;
+            const config = readDiscoveryConfig(fieldGroup, scope);
+            
+            // Several existing rows of the same group make one instance
+            if (!seen.has(scope)) seen.set(scope, new Set());
+            if (seen.get(scope).has(config.groupName)) return;
+            seen.get(scope).add(config.groupName);
+            
+            // Nested groups are read from the row itself, or from the template's row
+            const row = fieldGroup.tagName === 'TEMPLATE' ? fieldGroup.content.firstElementChild : fieldGroup;
+            const children = !row ? [] : Array.from(row.querySelectorAll('[data-field-group][data-group-name], template[data-field-template][data-group-name]'))
+                .filter(child => (child.parentElement.closest('[data-field-group]') || row) === row)
+                .map(child => readDiscoveryConfig(child, row))
+                .filter((child, i, all) => all.findIndex(other => other.groupName === child.groupName) === i);
+            
+            const instance = new DynamicFields({
+                ...defaults,
+                ...config,
+                ...(children.length ? { children: children } : {}),
+                ...(form && form.id ? { formId: form.id, container: document } : { container: scope }),
+                autoInit: false
+            });
+            instance.init();
+            
+            if (instance.isInitialized) {
+                created.push(instance);
+            }
+        });
+        
+        return created;
+    };
+    
+    // Zero-config mode: <script src="dynamic-fields.js" data-auto-discover></script>
+    if (typeof document !== 'undefined' && document.currentScript && document.currentScript.hasAttribute('data-auto-discover')) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => DynamicFields.autoDiscover());
+        } else {
+            DynamicFields.autoDiscover();
+        }
+    }
+    
     // Export to global scope
     global.DynamicFields = DynamicFields;
     